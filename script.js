@@ -9,7 +9,19 @@ export default class DragAct {
 
     //key names we respond to from keyboard events
     //nb. it feels safer to define Space as ("\u0020") rather than its literal keyname (" ")
-    static #keynames = ['arrowup','arrowright','arrowdown','arrowleft','pageup','pagedown','home','end','\u0020','x','a','enter','v','s','escape'];
+    static #keynames = ['arrowup','arrowright','arrowdown','arrowleft','pageup','pagedown','home','end','\u0020','x','a','enter','v','s','z','delete','backspace','escape'];
+
+    //attribute and class names that instances may add or modify within their scope
+    //nb. these are what destroy restores or removes, along with whatever
+    //selection state attributes are declared by the droptargets' data-drag-state
+    static #attributes = [
+        'id','lang','role','tabindex','draggable',
+        'aria-activedescendant','aria-describedby','aria-disabled','aria-label','aria-labelledby',
+        'aria-multiselectable','aria-owns','aria-roledescription',
+        'data-drag-deleted','data-drag-disabled','data-drag-insert','data-drag-lastdescendant','data-drag-safari','data-drag-sorted',
+        'data-drag-state','data-drag-valid'
+    ];
+    static #classnames = ['activedescendant','dragout','dragover','focus-within','insertion'];
 
     //default language data for accessible descriptions
     //along with a public getter that returns a readonly copy
@@ -20,34 +32,168 @@ export default class DragAct {
             'selection-notes'   : 'To choose items press Space.',
             'empty-notes'       : 'No items.',
             'drop-notes'        : 'To drop items press Enter.',
+            'refused-notes'     : 'These items cannot be dropped here.',
+            'full-notes'        : 'There is not enough room for these items here.',
+            'minimum-notes'     : 'At least {{number}} items must stay in {{source}}.',
+            'capacity-notes'    : '{{count}} of {{number}} places used.',
             'sort-notes'        : 'Sort by chosen order.',
             'sort-number'       : '#{{number}}',
             'selected-items'    : '{{count}} {{items}} checked.',
-            'dropped-items'     : '{{count}} {{items}} dropped.',
-            'item-single'       : 'item',
-            'item-plural'       : 'items'
+            'dropped-items'     : '{{count}} {{items}} dropped into {{target}}.',
+            'trimmed-items'     : '{{count}} {{items}} dropped into {{target}}, the rest did not fit.',
+            'copied-items'      : '{{count}} {{items}} copied to {{target}}.',
+            'restored-items'    : '{{count}} {{items}} restored to {{target}}.',
+            'position-notes'    : 'At position {{position}} of {{total}}.',
+            'moved-position'    : '{{names}} moved to position {{position}} of {{total}}.',
+            'trashed-items'     : '{{names}} moved to {{target}}.',
+            'emptied-items'     : '{{target}} emptied, {{count}} {{items}} deleted.',
+            'empty-trash'       : 'Empty trash',
+            'restore-trash'     : 'Restore items',
+            'items'             : {
+                'one'               : 'item',
+                'other'             : 'items'
+            }
         },
         'it' : {
             'role-description'  : '{{role}} drag and drop',
-            'selection-notes'   : 'Per scegliere l elemento premere Barra Spaziatrice.',
-            'empty-notes'       : 'Non ci sono definizioni.',
-            'drop-notes'        : 'Per rilasciare l elemento selezionato premere Invio',
-            'sort-notes'        : 'Riordina scegliendo l ordine',
+            'selection-notes'   : 'Per scegliere gli elementi premere Barra spaziatrice.',
+            'empty-notes'       : 'Nessun elemento.',
+            'drop-notes'        : 'Per rilasciare gli elementi premere Invio.',
+            'refused-notes'     : 'Questi elementi non possono essere rilasciati qui.',
+            'full-notes'        : 'Non c\'è abbastanza spazio per questi elementi qui.',
+            'minimum-notes'     : 'In {{source}} devono restare almeno {{number}} elementi.',
+            'capacity-notes'    : '{{count}} posti occupati su {{number}}.',
+            'sort-notes'        : 'Ordina secondo l\'ordine scelto.',
             'sort-number'       : '#{{number}}',
-            'selected-items'    : '{{count}} {{items}} selezionate.',
-            'dropped-items'     : '{{count}} {{items}} spostate.',
-            'item-single'       : 'elemento',
-            'item-plural'       : 'elementi'
+            'selected-items'    : {
+                'one'               : '{{count}} {{items}} selezionato.',
+                'other'             : '{{count}} {{items}} selezionati.'
+            },
+            'dropped-items'     : {
+                'one'               : '{{count}} {{items}} spostato in {{target}}.',
+                'other'             : '{{count}} {{items}} spostati in {{target}}.'
+            },
+            'trimmed-items'     : {
+                'one'               : '{{count}} {{items}} spostato in {{target}}, gli altri non entravano.',
+                'other'             : '{{count}} {{items}} spostati in {{target}}, gli altri non entravano.'
+            },
+            'copied-items'      : {
+                'one'               : '{{count}} {{items}} copiato in {{target}}.',
+                'other'             : '{{count}} {{items}} copiati in {{target}}.'
+            },
+            'restored-items'    : {
+                'one'               : '{{count}} {{items}} ripristinato in {{target}}.',
+                'other'             : '{{count}} {{items}} ripristinati in {{target}}.'
+            },
+            'position-notes'    : 'In posizione {{position}} di {{total}}.',
+            'moved-position'    : '{{names}}: nuova posizione {{position}} di {{total}}.',
+            'trashed-items'     : {
+                'one'               : '{{names}} spostato in {{target}}.',
+                'other'             : '{{names}} spostati in {{target}}.'
+            },
+            'emptied-items'     : {
+                'one'               : '{{target}} svuotato, {{count}} {{items}} eliminato.',
+                'other'             : '{{target}} svuotato, {{count}} {{items}} eliminati.'
+            },
+            'empty-trash'       : 'Svuota il cestino',
+            'restore-trash'     : 'Ripristina gli elementi',
+            'items'             : {
+                'one'               : 'elemento',
+                'other'             : 'elementi'
+            }
         }
     };
     static get language() {
-        return { ...this.#language }
+        return Object.fromEntries(Object.entries(this.#language).map(([ code, strings ]) => {
+            return [ code, this.#copyStrings(strings) ];
+        }));
     }
 
     //default language code and expected keys for validation
     static #langdefault = Object.keys(this.#language).shift();
     static #langkeys = [ ...Object.keys(this.#language[this.#langdefault]) ];
 
+    //language keys that must be defined by additional language data
+    //nb. these are the keys that language data has always needed, so existing data stays valid
+    //and any other expected keys that it doesn't define are copied from the default language
+    static #langrequired = ['role-description','selection-notes','empty-notes','drop-notes','sort-notes','sort-number','selected-items','dropped-items','items'];
+
+    //language keys that can have plural forms, and the plural categories they can use
+    //nb. the value for these keys can be a string, which is used for every count value
+    //or a dictionary of strings indexed by CLDR plural category, eg. { one, few, many, other }
+    //where "other" is required, since that's the fallback for any category that isn't defined
+    //nb. the form is chosen using Intl.PluralRules for the instance language, see getPlural
+    static #pluralkeys = ['selected-items','dropped-items','trimmed-items','copied-items','restored-items','trashed-items','emptied-items','items'];
+    static #pluralcategories = ['zero','one','two','few','many','other'];
+
+    //cache of Intl formatters, indexed by formatter name, language code and options
+    //nb. creating these is relatively expensive, and they're used for every announcement
+    //so they're shared between instances, since the key covers everything that defines them
+    static #formatters = new Map();
+
+    //get an array of the forms of a language value, which is either
+    //the value itself, or all the values of a plural dictionary
+    static #getForms(value) {
+        return (typeof(value) == 'string') ? [ value ] : Object.values(value);
+    }
+
+    //copy a dictionary of language strings, including any plural dictionaries
+    //nb. so that the public getters can't be used to modify the stored data
+    static #copyStrings(strings) {
+        return Object.fromEntries(Object.entries(strings).map(([ key, value ]) => {
+            return [ key, (typeof(value) == 'string') ? value : { ...value } ];
+        }));
+    }
+
+    //get the language tokens for a language key, as a dictionary of the tokens
+    //that its value is required to contain, and the tokens it can optionally contain
+    //  {{target}}      = the label text of the droptarget that items were dropped into
+    //  {{source}}      = the label text of the droptarget that items came from
+    //  {{names}}       = a list of the names of the items, eg. "Ciak1, Ciak2 and Ciak3"
+    //  {{position}}    = the position of the (first) item in the droptarget
+    //  {{total}}       = the total number of items in the droptarget
+    //nb. any other token in a language value is rejected by i18n validation
+    static #getTokens(key) {
+        switch(true) {
+
+            case (key == 'role-description') :
+                return { required : ['role'], optional : [] };
+
+            case (key == 'sort-number') :
+                return { required : ['number'], optional : [] };
+
+            case (key == 'minimum-notes') :
+                return { required : ['number'], optional : ['source'] };
+
+            case (key == 'capacity-notes') :
+                return { required : ['count','number'], optional : [] };
+
+            case (key == 'position-notes') :
+                return { required : ['position','total'], optional : ['target'] };
+
+            case (key == 'moved-position') :
+                return { required : ['position','total'], optional : ['target','names'] };
+
+            case (key == 'restored-items') :
+                return { required : ['count','items','target'], optional : ['source','names'] };
+
+            case (key == 'selected-items') :
+                return { required : ['count','items'], optional : ['source','names'] };
+
+            case (key == 'dropped-items' || key == 'trimmed-items' || key == 'copied-items') :
+                return { required : ['count','items'], optional : ['target','source','names','position','total'] };
+
+            case (key == 'trashed-items') :
+                return { required : ['names'], optional : ['count','items','target','source'] };
+
+            case (key == 'emptied-items') :
+                return { required : ['count','items'], optional : ['target'] };
+
+            default :
+                return { required : [], optional : [] };
+        }
+    }
+
     //compile a throwable exception
     static #exception(message, type  = 'Error') {
         let error = new window[type]();
@@ -69,55 +215,140 @@ export default class DragAct {
                 throw(this.#exception(`The language code "${code}" is not valid.`, 'TypeError'));
             }
 
+            //convert legacy single and plural item values to plural forms
+            //nb. this is only an approximation for languages with several plural forms
+            //since it uses the single form for "one" and the plural form for everything else
+            if(!('items' in strings) && ('item-single' in strings) && ('item-plural' in strings)) {
+                strings = {
+                    ...strings,
+                    'items' : {
+                        'one'   : strings['item-single'],
+                        'other' : strings['item-plural']
+                    }
+                };
+            }
+
             //remove and ignore any unexpected data by key validation
             strings = Object.fromEntries(Object.entries(strings).filter((entry) => {
                 return this.#langkeys.includes(entry[0]);
             }));
 
-            //throw an exception if any of the expected keys are missing
+            //throw an exception if any of the required keys are missing
             const keys = Object.keys(strings);
-            const missing = this.#langkeys.filter((expected) => !keys.includes(expected));
+            const missing = this.#langrequired.filter((expected) => !keys.includes(expected));
             if(missing.length) {
                 throw(this.#exception(`The language data for "${code}" is missing expected values (\"${missing.join('\",\"')}\").`, 'TypeError'));
             }
 
             //throw an exception if any of the values are not valid strings
+            //or valid plural dictionaries for the keys that can have them
             //nb. this includes rejecting empty or whitespace-only strings
             //but doesn't trim whitespace from any otherwise valid strings
+            //nb. plural dictionaries must have an "other" form, and their keys
+            //must all be plural categories, and their values must all be valid strings
             const invalid = keys.filter((key) => {
-                return !(typeof(strings[key]) == 'string' && strings[key].trim());
+                const value = strings[key];
+                if(this.#pluralkeys.includes(key) && value && typeof(value) == 'object' && !Array.isArray(value)) {
+                    const categories = Object.keys(value);
+                    return !(categories.includes('other')
+                        && categories.every((category) => this.#pluralcategories.includes(category))
+                        && categories.every((category) => typeof(value[category]) == 'string' && value[category].trim()));
+                }
+                return !(typeof(value) == 'string' && value.trim());
             });
             if(invalid.length) {
                 throw(this.#exception(`The language data for "${code}" contains invalid or empty values (\"${invalid.join('\",\"')}\").`, 'TypeError'));
             }
 
             //throw an exception if parsing tokens aren't present
+            //nb. for plural dictionaries, every form must have all the tokens
             const notokens = keys.filter((key) => {
-                switch(true) {
-
-                    case (key == 'role-description') :
-                        return (strings[key].indexOf('{{role}}') < 0);
-
-                    case (key == 'sort-number') :
-                        return (strings[key].indexOf('{{number}}') < 0);
-
-                    case !(key == 'selected-items' || key == 'dropped-items') :
-                        return false;
-
-                    default :
-                        return (strings[key].indexOf('{{count}}') < 0 || strings[key].indexOf('{{items}}') < 0);
-                }
+                return this.#getForms(strings[key]).some((form) => {
+                    return this.#getTokens(key).required.some((token) => form.indexOf(`{{${token}}}`) < 0);
+                });
             });
             if(notokens.length) {
                 throw(this.#exception(`The language data for "${code}" is missing expected tokens (\"${notokens.join('\",\"')}\").`, 'SyntaxError'));
             }
 
+            //throw an exception if there are any tokens that aren't required or optional
+            //nb. otherwise they'd be left in the output as literal text
+            const unknown = keys.filter((key) => {
+                const tokens = this.#getTokens(key);
+                return this.#getForms(strings[key]).some((form) => {
+                    return Array.from(form.matchAll(/\{\{([^{}]*)\}\}/g)).some((match) => {
+                        return !(tokens.required.includes(match[1]) || tokens.optional.includes(match[1]));
+                    });
+                });
+            });
+            if(unknown.length) {
+                throw(this.#exception(`The language data for "${code}" contains unknown tokens (\"${unknown.join('\",\"')}\").`, 'SyntaxError'));
+            }
+
+            //copy any other expected keys that are missing from the default language
+            const defaults = this.#language[this.#langdefault];
+            this.#langkeys.forEach((key) => {
+                if(!keys.includes(key)) {
+                    strings[key] = defaults[key];
+                }
+            });
+
             //save this data to the language object using the specified code
             //nb. convert the code to lower-case because BCP47 is case-insensitive
-            this.#language[code.toLowerCase()] = { ...strings };
+            this.#language[code.toLowerCase()] = this.#copyStrings(strings);
         }
     }
 
+    //load language packs and define them as additional language data
+    //where packs is a dictionary of language codes, and the value of each one is
+    //the URL of a JSON file, or an imported JSON module, or a promise for either
+    //eg. DragAct.load({ 'fr' : './lang/fr.json', 'de' : import('./lang/de.json', { with : { type : 'json' } }) })
+    //then return a promise that resolves to an array of the language codes that were defined
+    //nb. the data is validated by i18n, and all the packs have to be loaded before any
+    //of them are defined, so if any of them fail then none of them are defined
+    //nb. instances choose their language when they're initialized, so this should be
+    //resolved before creating instances that use them, or before changing the scope lang
+    static async load(packs) {
+
+        const entries = await Promise.all(Object.entries(packs).map(async ([ code, pack ]) => {
+
+            //fetch and parse the data if this is a URL
+            pack = await pack;
+            if(typeof(pack) == 'string' || pack instanceof URL) {
+                let response = null;
+                try {
+                    response = await window.fetch(pack);
+                }
+                catch(ex) {}
+
+                if(!response || !response.ok) {
+                    throw(this.#exception(`The language pack for "${code}" could not be loaded from "${pack}".`, 'ReferenceError'));
+                }
+                try {
+                    pack = await response.json();
+                }
+                catch(ex) {
+                    throw(this.#exception(`The language pack for "${code}" is not valid JSON.`, 'SyntaxError'));
+                }
+            }
+
+            //unwrap the data if this is a JSON module namespace
+            //nb. language data won't have a default key, since that isn't an expected key
+            if(pack && typeof(pack) == 'object' && ('default' in pack)) {
+                pack = pack.default;
+            }
+            if(!pack || typeof(pack) != 'object' || Array.isArray(pack)) {
+                throw(this.#exception(`The language pack for "${code}" is not a dictionary of language data.`, 'TypeError'));
+            }
+
+            return [ code, pack ];
+        }));
+
+        this.i18n(Object.fromEntries(entries));
+
+        return entries.map(([ code ]) => code.toLowerCase());
+    }
+
     //get the closest matching code in available language data
     //from a list of wanted codes in order of precedence
     static #getLanguageMatch(want, have) {
@@ -224,19 +455,25 @@ export default class DragAct {
         });
     }
 
-    //tokenized format and counters for dynamic IDs
-    //including a static private method for creating them
+    //default tokenized format and counters for dynamic IDs
+    //including a private method for creating them with the instance format
     //nb. this is needed for IDREFS like aria-activedescendant
     //although activedescendant can use implicit owning relationships
     //that requires the items to be direct children of the droptargets
     //which wouldn't allow flexibility for different markup structures
+    //nb. the format can be defined for each instance with the idFormat option
     static #idformat = 'drag-act-{{index}}-{{type}}-{{counter}}';
     static #indexes = 0;
     #index = 0;
     #counter = 0;
 
-    static #getID(params) {
-        let id = this.#idformat;
+    #getID(type) {
+        const params = {
+            index   : this.#index,
+            type    : type,
+            counter : this.#counter ++
+        };
+        let id = this.#options.idFormat;
         for(let [ key, value ] of Object.entries(params)) {
             id = id.replace(`\{\{${key}\}\}`, value);
         }
@@ -255,16 +492,13 @@ export default class DragAct {
     static #draginstance = null;
 
     //whether to apply hacks for Safari/VoiceOver
-    //which can only be set before first instantation
+    //which is the default for the safariHacks option of new instances
     //nb. see instances of 'data-drag-safari' for info
     static #safarihacks = 0;
     static get safarihacks() {
         return this.#safarihacks;
     }
     static set safarihacks(flag) {
-        if(this.#indexes) {
-            throw(this.#exception('The safarihacks flag can only be set before creating instances.', 'TypeError'));
-        }
         if(isNaN(flag = parseInt(flag, 10)) || flag < -1 || flag > 1) {
             throw(this.#exception('The safarihacks flag must an integer between -1 and 1.', 'RangeError'));
         }
@@ -282,6 +516,37 @@ export default class DragAct {
         return this.#scope;
     }
 
+    //dictionary of per-instance settings, which are defined by constructor options
+    //including a public getter that returns a readonly copy of them
+    //  pageStep            = the number of items that Page Up and Page Down move by
+    //  bufferDelay         = the delay for description updates in milliseconds, see buffer
+    //  animationStep       = the interval between insertion animation steps in milliseconds
+    //                        or 0 to turn the animation off
+    //  idFormat            = the tokenized format for dynamic IDs, see getID
+    //  safariHacks         = whether to apply hacks for Safari/VoiceOver (-1, 0 or 1)
+    //                        which defaults to the static safarihacks flag
+    //  state               = the default selection state attribute for droptargets
+    //                        that don't define data-drag-state ("aria-checked" or "aria-selected")
+    //  typeAheadTimeout    = the time before the type-ahead search resets in milliseconds
+    //  historyLimit        = the maximum number of drops that can be undone
+    //                        or 0 to turn the undo history off
+    //nb. the options can also include any of the public accessors, ie. beforeDrop,
+    //reorderKey, announcement and announceDelay, which are then set as though
+    //they were defined directly, but they're not included in this dictionary
+    #options = {
+        pageStep            : 5,
+        bufferDelay         : 250,
+        animationStep       : 50,
+        idFormat            : this.constructor.#idformat,
+        safariHacks         : this.constructor.#safarihacks,
+        state               : 'aria-checked',
+        typeAheadTimeout    : 500,
+        historyLimit        : 50
+    };
+    get options() {
+        return { ...this.#options };
+    }
+
     //default active language code, along with a public getter
     //that returns a readonly copy of the corresponding language data
     //nb. although the language data itself is static
@@ -290,7 +555,7 @@ export default class DragAct {
     //to use different languages specified by scope "lang" attribute
     #langcode = this.constructor.#langdefault;
     get language() {
-        return { ...this.constructor.#language[this.#langcode] };
+        return this.constructor.#copyStrings(this.constructor.#language[this.#langcode]);
     }
 
     //dictionary of all the relevant elements within this scope
@@ -310,16 +575,26 @@ export default class DragAct {
     //node reference to those items' owner element
     //node reference to the current droptarget
     //flag for whether dropped items should be sorted
+    //number of items that were trimmed from a drop for lack of room
+    //drop effect for the current drop action, either "move" or "copy"
+    //insertion position for the current drop action
     //nb. sorting will append the items in their original node order
     //rather than appending them in the order they were selected
     //sorting is the default behavior, while not sorting can be
     //triggered by Ctrl/Cmd + S or by interacting with a sorted button
     //so for users, the "sort" action is actually not sorting lol
+    //nb. see data-drag-max and data-drag-overflow for info about trimming
+    //nb. the effect is null until a drop action resolves it, see getEffect
+    //nb. the position is a dictionary of a dragitem reference in the droptarget
+    //and "before" or "after" that item, or null to append, see setPosition
     #selection = {
         dragitems   : [],
         owner       : null,
         droptarget  : null,
-        nodesort    : true
+        nodesort    : true,
+        overflow    : 0,
+        effect      : null,
+        position    : null
     };
 
     //array of callbacks bound to this instance
@@ -334,6 +609,171 @@ export default class DragAct {
         this.#callbacks.forEach((fn) => fn.call(this));
     }
 
+    //dispatch a custom "dragact:{type}" event from the scope element
+    //with a detail object that describes the current selection data
+    //and the input modality, plus any additional or overriding detail
+    //then return false if the event was cancelled, otherwise true
+    //nb. events that are dispatched before a change are cancelable
+    //so that calling preventDefault() will stop that change happening
+    //while events dispatched after a change are just notifications
+    //nb. where a change has both, the cancelable one is prefixed with "before"
+    //eg. "dragact:beforedrop" then "dragact:drop", so each one only fires once
+    #dispatch(type, cancelable = false, detail = {}) {
+        return this.#scope.dispatchEvent(new CustomEvent(`dragact:${type}`, {
+            bubbles     : true,
+            cancelable  : cancelable,
+            detail      : {
+                dragitems   : [ ...this.#selection.dragitems ],
+                owner       : this.#selection.owner,
+                droptarget  : this.#selection.droptarget,
+                nodesort    : this.#selection.nodesort,
+                effect      : this.#selection.effect,
+                position    : this.#selection.position,
+                modality    : this.#modality,
+                ...detail
+            }
+        }));
+    }
+
+    //beforedrop hook, along with a public accessor for defining it
+    //nb. the hook is called before every drop, with a dictionary of the proposed
+    //dragitems, owner, droptarget, nodesort, effect and modality (like the event detail)
+    //and it can return, or return a promise that resolves to, any of these:
+    //  false                               = refuse the drop with the default refusal description
+    //  "reason"                            = refuse the drop with this string as the description
+    //  { dragitems, droptarget, effect }   = narrow the dragitems, redirect to another droptarget
+    //                                        and/or change the drop effect ("move" or "copy")
+    //  anything else                       = allow the drop as proposed
+    //nb. while a promise is pending, any further drop actions are ignored
+    #beforedrop = null;
+    get beforeDrop() {
+        return this.#beforedrop;
+    }
+    set beforeDrop(fn) {
+        if(!(fn === null || typeof(fn) == 'function')) {
+            throw(this.constructor.#exception('The beforeDrop hook must be a function or null.', 'TypeError'));
+        }
+        this.#beforedrop = fn;
+    }
+
+    //reference to a pending beforedrop promise, or null if there isn't one
+    #pending = null;
+
+    //modifier key for keyboard reordering, along with a public accessor for defining it
+    //which is "alt" (the default), "ctrl", "meta" or "shift"
+    //nb. this is combined with arrow keys, Home or End to move items within a droptarget
+    //so "shift" or "ctrl" will override the equivalent range or discontiguous selection
+    //nb. Alt/Option + arrows is the established listbox reorder pattern
+    #reorderkey = 'alt';
+    get reorderKey() {
+        return this.#reorderkey;
+    }
+    set reorderKey(key) {
+        if(!['alt','ctrl','meta','shift'].includes(key)) {
+            throw(this.constructor.#exception('The reorderKey must be "alt", "ctrl", "meta" or "shift".', 'TypeError'));
+        }
+        this.#reorderkey = key;
+    }
+
+    //announcement strategy, along with a public accessor for defining it
+    //which is "description" (the default) or "live"
+    //nb. "description" announces actions by updating droptarget description elements
+    //which relies on them being re-announced, or made live for Safari, at the right time
+    //while "live" announces them through a single live region for the whole instance
+    //so they're announced even when there's no focus or state change to carry them
+    //eg. for a drop that was refused by an async hook, or a programmatic move
+    //nb. either way, the dragitem and droptarget descriptions are still maintained
+    #announcement = 'description';
+    get announcement() {
+        return this.#announcement;
+    }
+    set announcement(strategy) {
+        if(!['description','live'].includes(strategy)) {
+            throw(this.constructor.#exception('The announcement strategy must be "description" or "live".', 'TypeError'));
+        }
+        if(strategy != 'live') {
+            this.#resetAnnouncer();
+        }
+        this.#announcement = strategy;
+    }
+
+    //delay before each live announcement in milliseconds, along with a public accessor
+    //nb. the default is the same as the buffer delay, see buffer for info
+    #announcedelay = 250;
+    get announceDelay() {
+        return this.#announcedelay;
+    }
+    set announceDelay(delay) {
+        if(!Number.isInteger(delay) || delay < 0) {
+            throw(this.constructor.#exception('The announceDelay must be a non-negative integer.', 'RangeError'));
+        }
+        this.#announcedelay = delay;
+    }
+
+    //dictionary of live announcer data, comprising the live region element
+    //(null until it's needed), the queue of pending messages, and the pending timer
+    //including a public method for announcing a message through the live region
+    //which returns false if the announcement strategy isn't "live", otherwise true
+    //nb. politeness is "polite" (the default) or "assertive"
+    #announcer = {
+        region  : null,
+        queue   : [],
+        timer   : null
+    };
+    announce(message, politeness = 'polite') {
+        if(typeof(message) != 'string' || !message.trim()) {
+            throw(this.constructor.#exception('The announcement message must be a non-empty string.', 'TypeError'));
+        }
+        if(!['polite','assertive'].includes(politeness)) {
+            throw(this.constructor.#exception('The announcement politeness must be "polite" or "assertive".', 'TypeError'));
+        }
+        if(this.#announcement != 'live') {
+            return false;
+        }
+        this.#announce(message, politeness);
+        return true;
+    }
+
+    //dictionary of undo and redo stacks for drop history
+    //including public methods for stepping back and forth through them
+    //nb. each entry is a dictionary of the drop's owner, droptarget and effect
+    //and an array of moves, each of which has a dragitem reference
+    //and the from and to droptarget and index of that item in its collection
+    //where "from" is null for copies, since those are removed to undo them
+    //nb. the history is cleared when the DOM is changed by anything else
+    //because the recorded indexes wouldn't be reliable anymore
+    #history = {
+        undo    : [],
+        redo    : []
+    };
+    undo() {
+        return this.#doHistoryThing('undo');
+    }
+    redo() {
+        return this.#doHistoryThing('redo');
+    }
+
+    //record an entry in the undo history, and clear the redo history
+    //nb. the oldest entries are discarded to keep the history within the historyLimit
+    #pushHistory(entry) {
+        this.#history.undo.push(entry);
+        this.#history.undo.splice(0, Math.max(0, this.#history.undo.length - this.#options.historyLimit));
+        this.#history.redo = [];
+    }
+
+    //dictionary of type-ahead data, comprising the search string and the pending reset timer
+    //nb. the search string is reset when nothing has been typed for the typeAheadTimeout
+    #typeahead = {
+        search  : '',
+        timer   : null
+    };
+
+    //the input modality of the current or most recent interaction
+    //which is either "keyboard", "mouse", "touch" or "drag" (native drag)
+    //nb. this is updated by each of the relevant event handlers
+    //so that dispatched events can tell the application how things happened
+    #modality = null;
+
     //flag to identify touch-triggered mouse events
     //nb. touch interaction is mostly handled by simulated mouse events
     //so this is needed to implement unmodified multi-selection for touch users
@@ -347,6 +787,33 @@ export default class DragAct {
     //and gives users a way to back out of an unintended pre-click mousedown
     #pointer = null;
 
+    //dictionary of pointer drag data for touch and pen input
+    //comprising the pointer ID, the pressed dragitem and its droptarget,
+    //the pointerdown coordinates, a flag for whether the drag has started,
+    //and a reference to the floating drag preview that follows the pointer
+    //nb. HTML5 dragstart doesn't fire for touch in most mobile browsers
+    //so this implements press and drag with pointer events instead
+    //which only starts dragging once the pointer has moved past the threshold
+    //so that a tap still produces the simulated mouse events for tap-to-select
+    //nb. this is reset when the drag ends, but the dragged flag is set instead
+    //so that mouse handlers can ignore a simulated mouseup from the drag
+    //which is cleared by the next mouseup or pointerdown, whichever comes first
+    //since platforms don't always fire simulated mouse events after a drag
+    static #pointerthreshold = 10;
+    #pointerdrag = null;
+    #pointerdragged = false;
+
+    //dictionary of edge auto-scrolling data for native and pointer drags
+    //comprising the latest pointer coordinates and the pending animation frame ID
+    //nb. the edge zone and maximum speed are in pixels, the speed being per frame
+    static #scrollzone = 40;
+    static #scrollspeed = 20;
+    #scroller = {
+        x       : 0,
+        y       : 0,
+        frame   : null
+    };
+
     //reference to the target of the last dragenter event
     //nb. we need this to maintain the .dragover class (the drag hover state)
     //which is controlled from dragleave events (equivalent to container mouseout)
@@ -359,21 +826,77 @@ export default class DragAct {
     //and that will inevitably match the following dragleave's container
     #dragenter = null;
 
+    //reference to the native drag image preview, until it's removed after dragstart
+    //nb. so destroy can remove it, since that cancels the timer that would have
+    #dragimage = null;
+
     //instance mutation observer
     //nb. this is used to detect external changes to the DOM
     //eg. if you append new draggable items after initialization
     //but we need a reference to that so we can dynamically disconnect
     //on selection, to stop it from responding to internal modifications
-    //nb. this will only respond to adding or removing draggable items
-    //ie. addition or removal of droptarget containers is not supported
+    //nb. this responds to adding or removing draggable items
+    //and to adding or removing droptarget containers, see addDroptarget
+    //nb. but it doesn't see changes that are made while there's a selection
+    //so those have to use the public methods, or wait until the selection is cleared
     #observer = null;
 
+    //instance language observer
+    //nb. this responds to changes in the scope lang attribute, so that the language
+    //can be switched at runtime, see applyLanguage
+    //nb. this is separate from the main observer, because that one is disconnected
+    //while there's a selection, but the language can change at any time
+    #langobserver = null;
+
+    //set of event listeners bound by this instance
+    //nb. each member is a dictionary of the target, type, handler and options
+    //which is everything we need to remove them again when the instance is destroyed
+    //including the document listeners, which would otherwise outlive the scope
+    #listeners = new Set();
+
+    //set of pending timer IDs, so they can be cancelled on destroy
+    //nb. this includes description buffers and insertion animators
+    #timers = new Set();
+
+    //dictionary of original attributes for every element we modify
+    //indexed by element reference, each one being an array of name/value entries
+    //nb. these are recorded before the first modification to any element
+    //so that destroy can restore the markup to what it was before we touched it
+    #snapshots = new Map();
+
+    //initial state of the dragitems arrangement, as returned by getState
+    //nb. this is what the arrangement is reset to when a parent form is reset
+    #initial = {};
+
+    //set of dragitem clones that were created by copy drops
+    //nb. these are removed when a parent form is reset, since they weren't there initially
+    #clones = new WeakSet();
+
+    //dictionary of dragitems that were moved into a trash droptarget, and where from
+    //indexed by dragitem reference, each value being the droptarget and index it came from
+    //and the number of the drop that trashed it, counted by the trashdrops counter
+    //nb. see data-drag-role="trash" and restore for info
+    //nb. items that were already in the trash on initialization don't have a record
+    //so they can't be restored, but they can still be moved out by the user
+    #trashed = new WeakMap();
+    #trashdrops = 0;
+
+    //set of droptargets that were removed with removeDroptarget
+    //nb. so the observer doesn't add them again while they're still in the DOM
+    //but they're forgotten when they leave the scope, so they're added if they come back
+    #released = new Set();
+
+    //set of forms that have reset listeners bound by this instance
+    //nb. so that a form with several named droptargets only has one listener
+    #forms = new Set();
+
 
     //---//
 
 
     //instance constructor
-    constructor(scope = null) {
+    //nb. options is an optional dictionary of settings, see options for info
+    constructor(scope = null, options = {}) {
 
         //get the instance scope element or throw an exception if it's null
         //nb. the argument can be an element reference or a selector query
@@ -393,31 +916,17 @@ export default class DragAct {
             throw(this.constructor.#exception('The scope element reference is invalid.', 'ReferenceError'));
         }
 
-        //look for declared or user language codes by order of precedence
-        //nb. scope lang attributes take precedence over the document language
-        //then the user language is used if neither of those are defined
-        //or if we don't have any matching language for a higher precedent
-        //this allows individual instances to use different languages
-        //or variants of the same language via custom extensions (eg. "en-widget1")
-        //and for whole-page translations to be applied, if available
-        //nb. convert found codes to lower-case because BCP47 is case-insensitive
-        let want = [
-            this.#scope.getAttribute('lang'),
-            document.documentElement.getAttribute('lang'),
-            navigator.language
-
-        ].map(code => (code || '').trim().toLowerCase()).filter(code => code);
-
-        //get an array of all the codes we have language for
-        //nb. stored language codes are already lower-cased
-        let have = Object.keys(this.constructor.#language);
-
-        //now define the instance language code with the closest match we have
-        this.#langcode = this.constructor.#getLanguageMatch(want, have);
+        //validate and apply the instance options
+        //nb. this has to happen before anything else, since some of them
+        //affect the initialization of droptargets, like idFormat and state
+        this.#setOptions(options);
 
+        //define the instance language code with the closest match we have
         //then set the matching language code on the scope lang attribute
         //nb. in case the existing value was a code we couldn't match
         //it has to be udpated to declare the language we're actually using
+        this.#langcode = this.#getLanguage();
+        this.#snapshot(this.#scope);
         this.#scope.setAttribute('lang', this.#langcode);
 
         //assign the current indexes counter then increment it
@@ -425,267 +934,868 @@ export default class DragAct {
         //so there's no ID collision between multiple instances
         this.#index = this.constructor.#indexes ++;
 
-        //get the list of droptargets inside this scope
+        //get the list of droptargets inside this scope and initialize each of them
         this.#scope.querySelectorAll('[data-drag-act="droptarget"]').forEach((droptarget) => {
-
-            //assign a generated ID if it doesn't already have one
-            //nb. we have to do this before initializing the droptargets
-            //because we need their IDs for describedby references
-            if(!droptarget.id) {
-                droptarget.id = this.constructor.#getID({
-                    index   : this.#index,
-                    type    : 'droptarget',
-                    counter : this.#counter ++
-                });
-            }
-
-            //identify iOS and MacOS Safari to create an identifying attribute
-            //unless the static safarihacks flag has been set to override this
-            //either with -1 to turn it off entirely, or 1 to apply it for all
-            //nb. we need this to fix a variety of issues with VoiceOver
-            //see instances of 'data-drag-safari' for various details
-            //nb. we have to assume that VO is being used with Safari
-            //the fixes won't apply if it's used with any other browser
-            //and will apply to vanilla Safari even without VoiceOver
-            //since VO itself can't be directly identified or targetted
-            if(this.constructor.#safarihacks >= 0) {
-                if(this.constructor.#safarihacks || navigator.vendor == 'Apple Computer, Inc.') {
-                    droptarget.setAttribute('data-drag-safari', ('ontouchstart' in document) ? 'ios' : 'macos');
-                }
-            }
-
-            //create a pair of reference elements for aria-describedby
-            //one for the droptarget itself, and one for all its items
-            //and save their references to the describedby dictionary
-            //nb. don't append them yet because we need the initial
-            //state of the droptarget's DOM for container initialization
-            //nb. elements referenced by aria-describedby don't have to be
-            //present in the acctree, so they can be [hidden] or display:none
-            //and that's really helpful here because it prevents any
-            //possibility of them being read or copied independently
-            //and doesn't rely on having to use visually-hidden styles
-            //however ... we're going to be updating them on the fly,
-            //and if they're empty at the point when the page loads (or ever)
-            //then they stop being announced by JAWS/NVDA+Chrome/Edge
-            //because they're permanently transmitted to the API with no description
-            //<https://github.com/FreedomScientific/standards-support/issues/787>
-            //so by default, and whenever the value is cleared, we use zero-width space
-            //which counts as text content even though it's silent and invisible
-            //and is trim-safe because it's not a unicode "white space character"
-            this.#describedby[droptarget.id] = {};
-            ['droptarget','dragitems'].forEach((key) => {
-
-                let node = document.createElement('span');
-                node.setAttribute('data-drag-act', 'description');
-                node.setAttribute('hidden', '');
-                node.textContent = '\u200b';
-
-                node.id = this.constructor.#getID({
-                    index   : this.#index,
-                    type    : 'description',
-                    counter : this.#counter ++
-                });
-
-                this.#describedby[droptarget.id][key] = node;
-            });
-
-            //if data-drag-state is not defined (or empty) default to "aria-checked"
-            //nb. this allows for configurable selection states, eg. "aria-selected"
-            //but it's the author's resonsibility to make sure they're compatible
-            if(!droptarget.getAttribute('data-drag-state')) {
-                droptarget.setAttribute('data-drag-state', 'aria-checked');
-            }
-
-            //if this is Safari, except for MacOS when the selection state is aria-selected,
-            //then convert the dragitem describedby element to a live region
-            //nb. since the description text is only updated when the user needs
-            //to know, it has essentially the same behavior as a status region
-            //re-announced by JAWS and NVDA because it co-occurs with a state change
-            //however the dynamic re-announcement doesn't happen in VoiceOver
-            //but we can largely emulate that behavior with a status region
-            //however don't do that for aria-selected in MacOS because its VoiceOver
-            //already has descriptions built-in for a change in the number of selections
-            const safari = droptarget.getAttribute('data-drag-safari');
-            if(safari && (safari == 'ios' || droptarget.getAttribute('data-drag-state') != 'aria-selected')) {
-                this.#describedby[droptarget.id].dragitems.removeAttribute('hidden');
-                this.#describedby[droptarget.id].dragitems.setAttribute('aria-live', 'polite');
-            }
-
-            //build the initial collection dictionary for this droptarget
-            //while initializing the droptarget and all the dragitems inside it
-            let dragitems = this.#getDroptarget(droptarget);
-            this.#collection[droptarget.id] = {
-                droptarget  : droptarget,
-                dragitems   : dragitems,
-                parent      : this.#getParent(droptarget, dragitems),
-                label       : this.#getLabel(droptarget),
-                sorted      : this.#getSorted(droptarget),
-                multimode   : this.#getDefaultMultimode(droptarget, dragitems)
-            };
-
-            //now insert the reference elements at the start
-            //nb. putting them at the end would mean they'd move around as items
-            //are added to the droptarget, which doesn't technically matter,
-            //but it makes it harder to debug, and it just feels kinda wrong
-            droptarget.insertAdjacentElement('afterbegin', this.#describedby[droptarget.id].dragitems);
-            droptarget.insertAdjacentElement('afterbegin', this.#describedby[droptarget.id].droptarget);
-
-            //also associate the droptarget description element with the droptarget label
-            //so that the instructions are announced when navigating directly to the heading
-            //nb. this is particularly useful in iOS/VoiceOver, since it navigates containers
-            //by their text content rather than the containers themselves, although it's a little
-            //unfortunate that the instructions refer to keyboard commands like "... press Space"
-            //however most users should be able to interpret that to mean double-tap
-            //and it still gives useful info as to the available actions in each container
-            //(and it will be applicable if the user is navigating with a bluetooth keyboard)
-            this.#collection[droptarget.id].label.setAttribute('aria-describedby', this.#describedby[droptarget.id].droptarget.id);
-
-            //apply accessible descriptions for the default selection state
-            this.#describeDroptarget(droptarget, 'selection-notes');
+            this.#addDroptarget(droptarget);
         });
 
+        //save the initial state of the arrangement for form resets
+        this.#initial = this.getState();
+
         //bind all events
         this.#bindAgnosticEvents();
         this.#bindPointerEvents();
+        this.#bindPointerDragEvents();
         this.#bindDragEvents();
         this.#bindKeyboardEvents();
     }
 
 
-    //---//
+    //destroy this instance and restore the scope to its original markup
+    //nb. this doesn't restore the original arrangement of dragitems
+    //since that's user data, it only removes everything the instance added
+    //and resets every attribute it modified, so the scope can be re-used
+    //or re-initialized, eg. when a single-page app unmounts its view
+    destroy() {
 
+        //release the draginstance reference if it's pointing to this instance
+        if(this.constructor.#draginstance === this) {
+            this.constructor.#draginstance = null;
+        }
 
-    //get an array of the dragitems inside a droptarget container
-    //and optionally (re-)initialize with the necessary attributes
-    #getDragitems(droptarget, init = false) {
+        //stop the observer and cancel any pending timers
+        //nb. timeouts and intervals share the same pool of IDs
+        //so clearTimeout will also clear the insertion animators
+        if(this.#observer) {
+            this.#observer.disconnect();
+        }
+        if(this.#langobserver) {
+            this.#langobserver.disconnect();
+        }
+        this.#timers.forEach((timer) => window.clearTimeout(timer));
+        this.#timers.clear();
+        this.#stopScroll();
+        this.#resetAnnouncer();
+
+        //remove any pointer drag or native drag image preview, since they're outside the scope
+        //nb. the drag image would have been removed by a timer, but that's been cancelled
+        if(this.#pointerdrag && this.#pointerdrag.preview) {
+            this.#pointerdrag.preview.remove();
+        }
+        if(this.#dragimage) {
+            this.#dragimage.remove();
+        }
+        this.#pointerdrag = null;
+        this.#pointerdragged = false;
+        this.#dragimage = null;
 
-        //get the collection of dragitem elements
-        let dragitems = droptarget.querySelectorAll('[data-drag-act="dragitem"]');
+        //unbind all the scope and document event listeners
+        this.#listeners.forEach((listener) => {
+            listener.target.removeEventListener(listener.type, listener.handler, listener.options);
+        });
+        this.#listeners.clear();
+
+        //restore the original attributes of everything we modified
+        //and remove all the elements we injected
+        this.#restoreSnapshots();
+        this.#forms.clear();
+
+        //reset all the instance data
+        //nb. a pending beforedrop promise will be ignored when it settles
+        //because the selection it proposed no longer exists
+        this.#collection = {};
+        this.#describedby = {};
+        this.#callbacks = [];
+        this.#initial = {};
+        this.#released = new Set();
+        this.#pending = null;
+        this.#dragenter = null;
+        this.#trashed = new WeakMap();
+        this.#trashdrops = 0;
+        this.#history = {
+            undo    : [],
+            redo    : []
+        };
+        this.#typeahead = {
+            search  : '',
+            timer   : null
+        };
+        this.#selection = {
+            dragitems   : [],
+            owner       : null,
+            droptarget  : null,
+            nodesort    : true,
+            overflow    : 0,
+            effect      : null,
+            position    : null
+        };
+    }
 
-        //if we're initializing this collection
-        if(init) {
-            for(const dragitem of dragitems) {
 
-                //assign a generated ID if it doesn't already have one
-                if(!dragitem.id) {
-                    dragitem.id = this.constructor.#getID({
-                        index   : this.#index,
-                        type    : 'dragitem',
-                        counter : this.#counter ++
-                    });
+    //validate and apply a dictionary of instance options, see options for info
+    //nb. accessor options are set through their public setters, which validate them
+    #setOptions(options) {
+
+        if(!(options && typeof(options) == 'object' && !Array.isArray(options))) {
+            throw(this.constructor.#exception('The options must be a dictionary.', 'TypeError'));
+        }
+
+        for(let [ key, value ] of Object.entries(options)) {
+            switch(true) {
+
+                case (key == 'pageStep' || key == 'bufferDelay' || key == 'animationStep' || key == 'typeAheadTimeout' || key == 'historyLimit') : {
+                    const min = (key == 'pageStep') ? 1 : 0;
+                    if(!Number.isInteger(value) || value < min) {
+                        throw(this.constructor.#exception(`The ${key} option must be an integer of ${min} or more.`, 'RangeError'));
+                    }
+                    this.#options[key] = value;
+                    break;
                 }
 
-                //check the dragitem has a non-empty role, or throw an exception
-                //nb. roles are essential for assistive tech so the lack of one
-                //is significant enough to warrant a fatal exception
-                if(!dragitem.getAttribute('role')) {
-                    throw(this.constructor.#exception(`The dragitem "#${dragitem.id}" does not have an explicit role.`, 'TypeError'));
+                case (key == 'idFormat') : {
+                    if(typeof(value) != 'string') {
+                        throw(this.constructor.#exception('The idFormat option must be a string.', 'TypeError'));
+                    }
+                    const missing = ['index','type','counter'].filter((token) => value.indexOf(`{{${token}}}`) < 0);
+                    if(missing.length) {
+                        throw(this.constructor.#exception(`The idFormat option is missing expected tokens (\"${missing.join('\",\"')}\").`, 'SyntaxError'));
+                    }
+                    this.#options[key] = value;
+                    break;
                 }
 
-                //make the dragitems draggable
-                //and apply their default selection state
-                dragitem.setAttribute('draggable', 'true');
-                dragitem.setAttribute(droptarget.getAttribute('data-drag-state'), 'false');
+                case (key == 'safariHacks') : {
+                    if(!Number.isInteger(value) || value < -1 || value > 1) {
+                        throw(this.constructor.#exception('The safariHacks option must be an integer between -1 and 1.', 'RangeError'));
+                    }
+                    this.#options[key] = value;
+                    break;
+                }
 
-                //set aria-describedby to its corresponding reference ID
-                //unless this is Safari (VoiceOver) which doesn't support descriptions
-                if(!droptarget.hasAttribute('data-drag-safari')) {
-                    dragitem.setAttribute('aria-describedby', this.#describedby[droptarget.id].dragitems.id);
+                case (key == 'state') : {
+                    if(!['aria-checked','aria-selected'].includes(value)) {
+                        throw(this.constructor.#exception('The state option must be "aria-checked" or "aria-selected".', 'TypeError'));
+                    }
+                    this.#options[key] = value;
+                    break;
                 }
+
+                case ['beforeDrop','reorderKey','announcement','announceDelay'].includes(key) :
+                    this[key] = value;
+                    break;
+
+                default :
+                    throw(this.constructor.#exception(`"${key}" is not a valid option.`, 'TypeError'));
             }
         }
+    }
 
-        //return an array of the collection
-        return Array.from(dragitems);
-    };
 
+    //get the current arrangement of dragitems as a plain data dictionary
+    //indexed by droptarget ID, where each value is an ordered array of dragitem values
+    //nb. the value of each dragitem is its data-drag-value, or its ID if it doesn't have one
+    //so the state is JSON-serializable, eg. for saving progress and restoring it later
+    //nb. generated IDs aren't stable if the markup changes between page loads
+    //so dragitems should have data-drag-value or an authored ID for persistent states
+    //nb. trash droptargets aren't included, since their items are deleted
+    getState() {
+        return Object.fromEntries(Object.values(this.#collection).filter((collection) => {
+            return !this.#isTrash(collection.droptarget);
+
+        }).map((collection) => {
+            return [ collection.droptarget.id, collection.dragitems.map((dragitem) => this.#getValue(dragitem)) ];
+        }));
+    }
 
-    //initialize a single droptarget with the necessary attributes
-    //then get its array of owned dragitems while initiailizing all of them
-    //and setting activedescendant as specified by setdescendant, or default to the first one
-    #getDroptarget(droptarget, setdescendant = null) {
 
-        //check the droptarget has a non-empty role, or throw an exception
-        //nb. roles are essential for assistive tech so the lack of one
-        //is significant enough to warrant a fatal exception
-        if(!droptarget.getAttribute('role')) {
-            throw(this.constructor.#exception(`The droptarget "#${droptarget.id}" does not have an explicit role.`, 'TypeError'));
-        }
+    //rearrange the dragitems to match a state dictionary, as returned by getState
+    //nb. droptargets that aren't in the state are left as they are (except for losing
+    //any items that are moved elsewhere), and dragitems that aren't listed anywhere
+    //will stay in their current droptarget, ahead of the items that are listed there
+    //nb. this clears any selection and the drop history, then dispatches a single refresh
+    //and the whole state is validated before anything is changed, so that an invalid state
+    //throws an exception without leaving the dragitems in a partially rearranged state
+    setState(state) {
 
-        //check the droptarget has a declared label element, or throw an exception
-        //nb. visible labels may be required by 3.3.2, and they provide better usability
-        //especially for voice recognition since they can be spoken to initiate a drop action
-        //and if headings are used, then they provide per-container navigation hooks
-        //via headings navigation or down-swipe or whatever the user's AT has for that
-        //which is particularly essential for iOS/VoiceOver since it can't navigate
-        //to empty containers at all, so this provides a functional navigation hook
-        //nb. if the context doesn't require a visible label then it can be visually hidden
-        //but it mustn't be actually hidden or undisplayed because iOS/VO needs it
-        //unless the use-case could guarantee that containers will never be empty
-        //which it can't, because there's nothing to stop the user emptying one
-        let label = this.#getLabel(droptarget);
-        if(!label) {
-            throw(this.constructor.#exception(`The droptarget "#${droptarget.id}" does not have a labelling element.`, 'ReferenceError'));
+        //check the state is a dictionary, or throw an exception
+        if(!(state && typeof(state) == 'object' && !Array.isArray(state))) {
+            throw(this.constructor.#exception('The state must be a dictionary of droptarget IDs.', 'TypeError'));
         }
 
-        //assign a generated ID to the label if it doesn't already have one
-        if(!label.id) {
-            label.id = this.constructor.#getID({
-                index   : this.#index,
-                type    : 'label',
-                counter : this.#counter ++
+        //compile a dictionary of every dragitem in this instance by its value
+        //nb. each value is an array, because copy drops create dragitems with the same value
+        //nb. get the dragitems from the DOM rather than the collection, just in case
+        //it's stale because items were removed while the observer wasn't running
+        const values = new Map();
+        Object.values(this.#collection).forEach((collection) => {
+            this.#getDragitems(collection.droptarget).forEach((dragitem) => {
+                const value = this.#getValue(dragitem);
+                values.set(value, [ ...(values.get(value) || []), dragitem ]);
             });
-        }
+        });
 
-        //programmatically associate it with the droptarget and remove any aria-label
-        //nb. just in case it was hard-coded, since it's redundant and maybe conflicting
-        droptarget.setAttribute('aria-labelledby', label.id);
-        droptarget.removeAttribute('aria-label');
+        //compile and validate the arrangement for each droptarget in the state
+        //checking that every droptarget and dragitem exists in this instance
+        //and that no value is listed more times than there are dragitems with it
+        //or throw an exception, while preferring dragitems with a shared value
+        //that are already in the droptarget, so that copies don't swap around
+        const listed = new Set();
+        const arrangement = Object.entries(state).map(([ id, items ]) => {
+
+            const collection = this.#collection[id];
+            if(!collection) {
+                throw(this.constructor.#exception(`The state droptarget "#${id}" does not exist in this instance.`, 'ReferenceError'));
+            }
+            if(!Array.isArray(items)) {
+                throw(this.constructor.#exception(`The state for droptarget "#${id}" must be an array.`, 'TypeError'));
+            }
 
-        //add the droptarget to the tab order and apply the role description
-        //and set aria-describedby to its corresponding reference ID
-        //unless this is Safari (VoiceOver) which doesn't support descriptions
-        //nb. the role description includes the original role as well
-        //because screen reader users rely on recognising interaction patterns
-        //based on the announced role, eg. arrow keys to navigate a listbox
-        //and although JAWS and NVDA do announce available navigation keys
-        //that's only at beginner verbosity levels, which most regular users
-        //will have switched off because they already know what keys to use
-        //so they just need to know what the container's functional role is
-        droptarget.setAttribute('tabindex', '0');
-        droptarget.setAttribute('aria-roledescription', this.#parseToken(this.language['role-description'], 'role', droptarget.getAttribute('role')));
+            const dragitems = items.map((value) => {
+                const candidates = values.get(String(value));
+                if(!candidates) {
+                    throw(this.constructor.#exception(`The state dragitem "${value}" does not exist in this instance.`, 'ReferenceError'));
+                }
+                const unlisted = candidates.filter((candidate) => !listed.has(candidate));
+                if(!unlisted.length) {
+                    throw(this.constructor.#exception(`The state dragitem "${value}" is listed more times than it exists.`, 'TypeError'));
+                }
+                const dragitem = unlisted.find((candidate) => collection.droptarget.contains(candidate)) || unlisted[0];
+                listed.add(dragitem);
+                return dragitem;
+            });
 
-        if(!droptarget.hasAttribute('data-drag-safari')) {
-            droptarget.setAttribute('aria-describedby', this.#describedby[droptarget.id].droptarget.id);
-        }
+            return { droptarget : collection.droptarget, dragitems : dragitems };
+        });
 
-        //if the selection attribute is "aria-selected" then declare aria-multiselectable
-        //nb. this is only valid and applicable if the items are aria-select-able
-        //nb. multi-select behavior is already implied with aria-checked semantics
-        if(droptarget.getAttribute('data-drag-state') == 'aria-selected') {
-            droptarget.setAttribute('aria-multiselectable', 'true');
-        }
+        //clear drag-valid from droptargets and reset all selections
+        //nb. if a beforedrop promise is pending then it will be ignored when it settles
+        //because the selection it proposed no longer exists
+        this.#clearDragValid();
+        this.#clearSelections();
 
-        //remove any existing data-drag-valid attribute
-        //nb. this is used to denote valid droptarget containers
-        //where "true" means it is, and "false" means it's the owner
-        //but removing it otherwise rather than defaulting to "false"
-        //makes it much more useful as a CSS attribute selector:
-        //  [data-drag-valid]           { items are selected (in any container, not necessarily this one) }
-        //  :not([data-drag-valid])     { no items are selected (in any container) }
-        //  [data-drag-valid="false"]   { this is the selection home container (items are selected in this container) }
-        //  [data-drag-valid="true"]    { this is a valid droptarget (items are selected in another container) }
-        droptarget.removeAttribute('data-drag-valid');
+        //stop the observer while we move the items, so it doesn't respond to that
+        this.#observer.disconnect();
 
-        //remove any tabindex from elements inside this droptarget
-        //nb. just in case they were hard-coded, because that's a contradiction
-        //when we're using aria-activedescendant to manage item navigation
-        //only the droptarget elements themselves should be focusable
-        for(const progeny of droptarget.querySelectorAll('*')) {
-            progeny.removeAttribute('tabindex');
-        }
+        //append each listed dragitem to its droptarget's insertion parent in order
+        //removing the selection state attribute of its current droptarget first
+        //in case the new one uses a different attribute, and recording
+        //which droptargets have changed so we only need to refresh those
+        const changed = new Set();
+        arrangement.forEach(({ droptarget, dragitems }) => {
+            changed.add(droptarget);
+            dragitems.forEach((dragitem) => {
+                const owner = this.#getClosest(dragitem);
+                if(owner !== droptarget) {
+                    dragitem.removeAttribute(owner.getAttribute('data-drag-state'));
+                    changed.add(owner);
+                }
+                this.#collection[droptarget.id].parent.appendChild(dragitem);
+            });
+        });
 
-        //get and initialize the dragitems inside this droptarget
+        //rebuild and re-initialize the collection for each changed droptarget
+        //setting activedescendant to whatever it already is, if it's still there
+        //then re-apply accessible descriptions for the default selection state
+        changed.forEach((droptarget) => {
+            const setdescendant = droptarget.querySelector('#' + droptarget.getAttribute('aria-activedescendant'));
+            this.#refreshDroptarget(droptarget, setdescendant || null);
+            this.#describeDroptarget(droptarget, 'selection-notes');
+        });
+
+        //restart the observer on the scope element
+        this.#observer.observe(this.#scope, {
+            childList   : true,
+            subtree     : true
+        });
+
+        //clear the drop history, since its recorded positions are no longer reliable
+        this.#history = {
+            undo    : [],
+            redo    : []
+        };
+
+        //dispatch any instance callbacks
+        this.#dispatchCallbacks();
+
+        //dispatch a single refresh event for the whole change
+        //nb. this has a null droptarget because it can affect several of them
+        //so the dragitems are every listed item, whether or not it actually moved
+        this.#dispatch('refresh', false, {
+            dragitems   : [ ...listed ],
+            droptarget  : null,
+            modality    : null
+        });
+    }
+
+
+    //add a droptarget to this instance after initialization
+    //where droptarget is an element reference or selector inside the scope
+    //which must have [data-drag-act="droptarget"], or throw an exception
+    //then return true if it was added, or false if it was already in the instance
+    //nb. this happens automatically for droptargets that are added to the DOM
+    //but the observer doesn't see changes that are made while there's a selection
+    addDroptarget(droptarget) {
+
+        droptarget = this.#getDroptargetElement(droptarget);
+        if(this.#hasDroptarget(droptarget)) {
+            return false;
+        }
+        this.#released.delete(droptarget);
+
+        //initialize the droptarget and add its state to the initial state
+        //nb. so a form reset doesn't move its items somewhere else
+        this.#addDroptarget(droptarget);
+        this.#initial[droptarget.id] = this.#collection[droptarget.id].dragitems.map((dragitem) => this.#getValue(dragitem));
+
+        //if there are selected items then apply drag-valid to all droptargets
+        //so that this one has the same state as the others
+        if(this.#selection.dragitems.length) {
+            this.#addDragValid();
+        }
+
+        //dispatch any instance callbacks and a refresh event for this droptarget
+        this.#dispatchCallbacks();
+        this.#dispatch('refresh', false, {
+            dragitems   : [ ...this.#collection[droptarget.id].dragitems ],
+            droptarget  : droptarget,
+            modality    : null
+        });
+
+        return true;
+    }
+
+
+    //remove a droptarget from this instance, restoring its original markup
+    //where droptarget is an element reference or selector, as for addDroptarget
+    //then return true if it was removed, or false if it wasn't in the instance
+    //nb. if the selection is in this droptarget then it's cleared
+    //and if this is the selection droptarget then the drop is abandoned
+    //nb. this doesn't remove the element from the DOM, it just stops managing it
+    //until it's added again with addDroptarget, and this happens automatically
+    //for droptargets that are removed from the DOM
+    removeDroptarget(droptarget) {
+
+        if(typeof(droptarget) == 'string') {
+            droptarget = this.#getScopeElement(droptarget);
+        }
+        if(!this.#hasDroptarget(droptarget)) {
+            return false;
+        }
+
+        //clear the selection if it's in this droptarget
+        if(this.#selection.owner === droptarget) {
+            this.#clearDragValid();
+            this.#selection.owner.classList.remove('dragout');
+            this.#clearSelections();
+        }
+
+        //or reset the selection droptarget if it's this one
+        else if(this.#selection.droptarget === droptarget) {
+            this.#selection.droptarget = null;
+            this.#setPosition(null);
+        }
+
+        //remember that this droptarget was removed, so the observer doesn't add it again
+        this.#released.add(droptarget);
+
+        //restore the original attributes of this droptarget and everything inside it
+        //then remove it from the instance data, and clear the drop history
+        //since that might refer to it, so the recorded positions wouldn't be reliable
+        //nb. save the ID first, since restoring will remove it if it was generated
+        const id = droptarget.id;
+        const dragitems = this.#collection[id].dragitems;
+        this.#restoreSnapshots(droptarget);
+        delete this.#collection[id];
+        delete this.#describedby[id];
+        delete this.#initial[id];
+        this.#history = {
+            undo    : [],
+            redo    : []
+        };
+
+        //dispatch any instance callbacks and a refresh event for this droptarget
+        this.#dispatchCallbacks();
+        this.#dispatch('refresh', false, {
+            dragitems   : dragitems,
+            droptarget  : droptarget,
+            modality    : null
+        });
+
+        return true;
+    }
+
+
+    //select dragitems programmatically, through the same path as user selection
+    //where items can be a dragitem reference, a selector, or an iterable of dragitems
+    //and the mode is "replace" (the default) to replace the current selection,
+    //"add" to add them to it, or "toggle" to select or unselect each one
+    //then return the resulting selection, as returned by getSelection
+    //nb. items in a different droptarget from the selection are ignored
+    //and so are disabled items, in the same way that users can't select them
+    select(items, { mode = 'replace' } = {}) {
+        if(!['replace','add','toggle'].includes(mode)) {
+            throw(this.constructor.#exception('The select mode must be "replace", "add" or "toggle".', 'TypeError'));
+        }
+        return this.#doSelectAction(this.#getItems(items), mode);
+    }
+
+
+    //unselect dragitems programmatically, where items are the same as for select
+    //then return the resulting selection, as returned by getSelection
+    deselect(items) {
+        return this.#doSelectAction(this.#getItems(items), 'remove');
+    }
+
+
+    //unselect all dragitems programmatically
+    //then return the resulting (empty) selection, as returned by getSelection
+    //nb. this doesn't dispatch a cancel event, only a select event
+    //since that's for the user cancelling, which the application can't prevent itself
+    clearSelection() {
+        return this.#doSelectAction(this.#selection.dragitems, 'remove');
+    }
+
+
+    //get a dictionary of the current selection
+    //with an array of the selected dragitems in selection order, and their owner droptarget
+    getSelection() {
+        return {
+            dragitems   : [ ...this.#selection.dragitems ],
+            owner       : this.#selection.owner
+        };
+    }
+
+
+    //move the selected items to a droptarget programmatically, through the same path as user drops
+    //where droptarget can be a droptarget reference or selector, and the options are:
+    //  position    = index in the droptarget's dragitems to insert them at, or a dragitem
+    //                to insert them before, or null to append them (the default)
+    //  sort        = true to drop them in selection order, rather than traversal order
+    //  effect      = "move" or "copy", otherwise the droptarget's default effect is used
+    //then return a promise that resolves to true or false for whether the drop happened
+    //nb. the promise is always returned, whether or not a beforedrop hook is async
+    //and it rejects with any error from the hook, after the drop has been refused
+    //or with an exception if the droptarget or effect isn't valid
+    //nb. a drop into the owner is only possible as a sort, like it is for users
+    moveTo(droptarget, { position = null, sort = false, effect = null } = {}) {
+
+        //get the droptarget reference, and check it belongs to this instance or reject with an exception
+        if(typeof(droptarget) == 'string') {
+            droptarget = this.#getScopeElement(droptarget);
+        }
+        if(!this.#hasDroptarget(droptarget)) {
+            return Promise.reject(this.constructor.#exception('The moveTo droptarget is not a droptarget in this instance.', 'ReferenceError'));
+        }
+
+        //check the effect is valid or reject with an exception
+        if(!(effect === null || effect == 'move' || effect == 'copy')) {
+            return Promise.reject(this.constructor.#exception('The moveTo effect must be "move" or "copy".', 'TypeError'));
+        }
+
+        //nothing to do if there are no selected items, or the droptarget is the owner
+        //and this isn't a sort action
+        if(!this.#selection.dragitems.length || (droptarget === this.#selection.owner && !sort)) {
+            return Promise.resolve(false);
+        }
+
+        //convert the position to an insertion position dictionary
+        //nb. an index past the end, or an item that's not in the droptarget, means append
+        const dragitems = this.#collection[droptarget.id].dragitems;
+        if(typeof(position) == 'number') {
+            position = dragitems[position] || null;
+        }
+        position = dragitems.includes(position) ? { dragitem : position, side : 'before' } : null;
+
+        //the input modality is null, since this isn't from user interaction
+        this.#modality = null;
+
+        //remove accessible descriptions from the owner dragitems collection
+        this.#describeDragitems(this.#selection.owner);
+
+        //set the selection droptarget, sorting flag, effect and position
+        //then drop the items into it
+        this.#selection.nodesort = !sort;
+        this.#selection.droptarget = droptarget;
+        this.#selection.effect = effect ? (droptarget === this.#selection.owner ? 'move' : effect) : this.#getEffect(droptarget);
+        this.#setPosition(position);
+
+        //nb. errors from the beforedrop hook are rethrown, so they reject the promise
+        try {
+            return Promise.resolve(this.#doDropThing(true));
+        }
+        catch(error) {
+            return Promise.reject(error);
+        }
+    }
+
+
+    //restore trashed dragitems to the droptarget and position they were trashed from
+    //where items are the same as for select, or null to restore every item in the trash
+    //then return an array of the dragitems that were restored
+    //nb. items are only restored if they're in a trash droptarget, and they have
+    //a record of where they came from, and that droptarget is still in this instance
+    //nb. each item goes back to its recorded index, or to the end if there aren't
+    //enough items there now, and the restored items are announced in each droptarget
+    //nb. this clears any selection and the drop history, then dispatches a restore event
+    restore(items = null) {
+
+        //get the items to restore, defaulting to every item in the trash
+        if(items === null) {
+            items = Object.values(this.#collection).filter((collection) => {
+                return this.#isTrash(collection.droptarget);
+
+            }).flatMap((collection) => collection.dragitems);
+        }
+        items = this.#getItems(items);
+
+        //the input modality is null, since this isn't from user interaction
+        this.#modality = null;
+
+        return this.#doRestoreThing(items);
+    }
+
+
+    //permanently remove all the dragitems from a trash droptarget
+    //where droptarget is a trash droptarget reference or selector, or null for every trash
+    //then return an array of the dragitems that were removed
+    //nb. this dispatches a cancelable beforeempty event for each trash before anything is removed
+    //then clears any selection in it and the drop history, and announces the number of
+    //deleted items, then dispatches a notification empty event with the removed items
+    emptyTrash(droptarget = null) {
+
+        //get the trash droptarget(s), or throw an exception if a specified one isn't valid
+        let trash = Object.values(this.#collection).map((collection) => collection.droptarget).filter((droptarget) => {
+            return this.#isTrash(droptarget);
+        });
+        if(droptarget !== null) {
+            if(typeof(droptarget) == 'string') {
+                droptarget = this.#getScopeElement(droptarget);
+            }
+            if(!(this.#hasDroptarget(droptarget) && this.#isTrash(droptarget))) {
+                throw(this.constructor.#exception('The emptyTrash droptarget is not a trash droptarget in this instance.', 'ReferenceError'));
+            }
+            trash = [ droptarget ];
+        }
+
+        return trash.flatMap((droptarget) => this.#doEmptyThing(droptarget));
+    }
+
+
+    //---//
+
+
+    //initialize a droptarget and add it to the collection
+    //nb. this is used for every droptarget during construction
+    //and for droptargets that are added afterwards, see addDroptarget
+    #addDroptarget(droptarget) {
+
+        //record the droptarget's original attributes before we modify it
+        this.#snapshot(droptarget);
+
+        //assign a generated ID if it doesn't already have one
+        //nb. we have to do this before initializing the droptargets
+        //because we need their IDs for describedby references
+        if(!droptarget.id) {
+            droptarget.id = this.#getID('droptarget');
+        }
+
+        //identify iOS and MacOS Safari to create an identifying attribute
+        //unless the safariHacks option has been set to override this
+        //either with -1 to turn it off entirely, or 1 to apply it for all
+        //nb. we need this to fix a variety of issues with VoiceOver
+        //see instances of 'data-drag-safari' for various details
+        //nb. we have to assume that VO is being used with Safari
+        //the fixes won't apply if it's used with any other browser
+        //and will apply to vanilla Safari even without VoiceOver
+        //since VO itself can't be directly identified or targetted
+        if(this.#options.safariHacks >= 0) {
+            if(this.#options.safariHacks || navigator.vendor == 'Apple Computer, Inc.') {
+                droptarget.setAttribute('data-drag-safari', ('ontouchstart' in document) ? 'ios' : 'macos');
+            }
+        }
+
+        //create a pair of reference elements for aria-describedby
+        //one for the droptarget itself, and one for all its items
+        //and save their references to the describedby dictionary
+        //nb. don't append them yet because we need the initial
+        //state of the droptarget's DOM for container initialization
+        //nb. elements referenced by aria-describedby don't have to be
+        //present in the acctree, so they can be [hidden] or display:none
+        //and that's really helpful here because it prevents any
+        //possibility of them being read or copied independently
+        //and doesn't rely on having to use visually-hidden styles
+        //however ... we're going to be updating them on the fly,
+        //and if they're empty at the point when the page loads (or ever)
+        //then they stop being announced by JAWS/NVDA+Chrome/Edge
+        //because they're permanently transmitted to the API with no description
+        //<https://github.com/FreedomScientific/standards-support/issues/787>
+        //so by default, and whenever the value is cleared, we use zero-width space
+        //which counts as text content even though it's silent and invisible
+        //and is trim-safe because it's not a unicode "white space character"
+        this.#describedby[droptarget.id] = {};
+        ['droptarget','dragitems'].forEach((key) => {
+
+            let node = document.createElement('span');
+            node.setAttribute('data-drag-act', 'description');
+            node.setAttribute('hidden', '');
+            node.textContent = '\u200b';
+
+            node.id = this.#getID('description');
+
+            this.#describedby[droptarget.id][key] = node;
+        });
+
+        //if data-drag-state is not defined (or empty) default to "aria-checked"
+        //nb. this allows for configurable selection states, eg. "aria-selected"
+        //but it's the author's resonsibility to make sure they're compatible
+        //nb. the default can be changed for all droptargets with the state option
+        if(!droptarget.getAttribute('data-drag-state')) {
+            droptarget.setAttribute('data-drag-state', this.#options.state);
+        }
+
+        //if this is Safari, except for MacOS when the selection state is aria-selected,
+        //then convert the dragitem describedby element to a live region
+        //nb. since the description text is only updated when the user needs
+        //to know, it has essentially the same behavior as a status region
+        //re-announced by JAWS and NVDA because it co-occurs with a state change
+        //however the dynamic re-announcement doesn't happen in VoiceOver
+        //but we can largely emulate that behavior with a status region
+        //however don't do that for aria-selected in MacOS because its VoiceOver
+        //already has descriptions built-in for a change in the number of selections
+        const safari = droptarget.getAttribute('data-drag-safari');
+        if(safari && (safari == 'ios' || droptarget.getAttribute('data-drag-state') != 'aria-selected')) {
+            this.#describedby[droptarget.id].dragitems.removeAttribute('hidden');
+            this.#describedby[droptarget.id].dragitems.setAttribute('aria-live', 'polite');
+        }
+
+        //build the initial collection dictionary for this droptarget
+        //while initializing the droptarget and all the dragitems inside it
+        let dragitems = this.#getDroptarget(droptarget);
+        this.#collection[droptarget.id] = {
+            droptarget  : droptarget,
+            dragitems   : dragitems,
+            parent      : this.#getParent(droptarget, dragitems),
+            label       : this.#getLabel(droptarget),
+            sorted      : this.#getSorted(droptarget),
+            empty       : this.#getEmpty(droptarget),
+            restore     : this.#getRestore(droptarget),
+            multimode   : this.#getDefaultMultimode(droptarget, dragitems)
+        };
+        this.#updateTrash(droptarget);
+
+        //now insert the reference elements at the start
+        //nb. putting them at the end would mean they'd move around as items
+        //are added to the droptarget, which doesn't technically matter,
+        //but it makes it harder to debug, and it just feels kinda wrong
+        droptarget.insertAdjacentElement('afterbegin', this.#describedby[droptarget.id].dragitems);
+        droptarget.insertAdjacentElement('afterbegin', this.#describedby[droptarget.id].droptarget);
+
+        //create the hidden form inputs for this droptarget's dragitems, if it has a name
+        //and bind a reset listener to the form it's in, if that hasn't been done already
+        this.#updateInputs(droptarget);
+        this.#bindFormReset(droptarget);
+
+        //also associate the droptarget description element with the droptarget label
+        //so that the instructions are announced when navigating directly to the heading
+        //nb. this is particularly useful in iOS/VoiceOver, since it navigates containers
+        //by their text content rather than the containers themselves, although it's a little
+        //unfortunate that the instructions refer to keyboard commands like "... press Space"
+        //however most users should be able to interpret that to mean double-tap
+        //and it still gives useful info as to the available actions in each container
+        //(and it will be applicable if the user is navigating with a bluetooth keyboard)
+        this.#collection[droptarget.id].label.setAttribute('aria-describedby', this.#describedby[droptarget.id].droptarget.id);
+
+        //apply accessible descriptions for the default selection state
+        this.#describeDroptarget(droptarget, 'selection-notes');
+    };
+
+
+    //restore the original attributes of every element we modified inside a container
+    //(or everywhere, if the container is null) and remove the elements we injected
+    //nb. this doesn't restore class attributes wholesale, because authors
+    //might have changed them since, so just the classes we're responsible for
+    #restoreSnapshots(container = null) {
+
+        //compile the list of attributes to restore, including selection state attributes
+        //nb. get those before restoring the droptargets, which resets data-drag-state
+        const attributes = [ ...this.constructor.#attributes ];
+        Object.values(this.#collection).forEach((collection) => {
+            const state = collection.droptarget.getAttribute('data-drag-state');
+            if(state && !attributes.includes(state)) {
+                attributes.push(state);
+            }
+        });
+
+        //remove the description, selection number and form input elements we injected
+        (container || this.#scope).querySelectorAll('[data-drag-act="description"], [data-drag-act="number"], [data-drag-act="input"]').forEach((node) => {
+            node.remove();
+        });
+
+        //restore or remove modified attributes, and remove our state classes
+        for(const [ node, snapshot ] of this.#snapshots.entries()) {
+            if(container && !container.contains(node)) {
+                continue;
+            }
+            const original = Object.fromEntries(snapshot);
+            attributes.forEach((name) => {
+                if(name in original) {
+                    node.setAttribute(name, original[name]);
+                }
+                else {
+                    node.removeAttribute(name);
+                }
+            });
+            node.classList.remove(...this.constructor.#classnames);
+            if(!node.getAttribute('class')) {
+                node.removeAttribute('class');
+            }
+            this.#snapshots.delete(node);
+        }
+    };
+
+
+    //get an array of the dragitems inside a droptarget container
+    //and optionally (re-)initialize with the necessary attributes
+    #getDragitems(droptarget, init = false) {
+
+        //get the collection of dragitem elements
+        let dragitems = droptarget.querySelectorAll('[data-drag-act="dragitem"]');
+
+        //if we're initializing this collection
+        if(init) {
+            for(const dragitem of dragitems) {
+
+                //record the dragitem's original attributes before we modify it
+                //nb. this only happens the first time, not when items are re-initialized
+                //but that includes items which are added after instance initialization
+                this.#snapshot(dragitem);
+
+                //assign a generated ID if it doesn't already have one
+                if(!dragitem.id) {
+                    dragitem.id = this.#getID('dragitem');
+                }
+
+                //check the dragitem has a non-empty role, or throw an exception
+                //nb. roles are essential for assistive tech so the lack of one
+                //is significant enough to warrant a fatal exception
+                if(!dragitem.getAttribute('role')) {
+                    throw(this.constructor.#exception(`The dragitem "#${dragitem.id}" does not have an explicit role.`, 'TypeError'));
+                }
+
+                //make the dragitems draggable
+                //and apply their default selection state
+                dragitem.setAttribute('draggable', 'true');
+                dragitem.setAttribute(droptarget.getAttribute('data-drag-state'), 'false');
+
+                //set aria-describedby to its corresponding reference ID
+                //unless this is Safari (VoiceOver) which doesn't support descriptions
+                if(!droptarget.hasAttribute('data-drag-safari')) {
+                    dragitem.setAttribute('aria-describedby', this.#describedby[droptarget.id].dragitems.id);
+                }
+            }
+        }
+
+        //return an array of the collection
+        return Array.from(dragitems);
+    };
+
+
+    //initialize a single droptarget with the necessary attributes
+    //then get its array of owned dragitems while initiailizing all of them
+    //and setting activedescendant as specified by setdescendant, or default to the first one
+    #getDroptarget(droptarget, setdescendant = null) {
+
+        //check the droptarget has a non-empty role, or throw an exception
+        //nb. roles are essential for assistive tech so the lack of one
+        //is significant enough to warrant a fatal exception
+        if(!droptarget.getAttribute('role')) {
+            throw(this.constructor.#exception(`The droptarget "#${droptarget.id}" does not have an explicit role.`, 'TypeError'));
+        }
+
+        //check the droptarget has a declared label element, or throw an exception
+        //nb. visible labels may be required by 3.3.2, and they provide better usability
+        //especially for voice recognition since they can be spoken to initiate a drop action
+        //and if headings are used, then they provide per-container navigation hooks
+        //via headings navigation or down-swipe or whatever the user's AT has for that
+        //which is particularly essential for iOS/VoiceOver since it can't navigate
+        //to empty containers at all, so this provides a functional navigation hook
+        //nb. if the context doesn't require a visible label then it can be visually hidden
+        //but it mustn't be actually hidden or undisplayed because iOS/VO needs it
+        //unless the use-case could guarantee that containers will never be empty
+        //which it can't, because there's nothing to stop the user emptying one
+        let label = this.#getLabel(droptarget);
+        if(!label) {
+            throw(this.constructor.#exception(`The droptarget "#${droptarget.id}" does not have a labelling element.`, 'ReferenceError'));
+        }
+
+        //assign a generated ID to the label if it doesn't already have one
+        this.#snapshot(label);
+        if(!label.id) {
+            label.id = this.#getID('label');
+        }
+
+        //check that any declared capacity limits are non-negative integers, or throw an exception
+        //nb. an invalid limit would either be ignored or make the droptarget unusable
+        //and neither of those would necessarily be noticed by the author
+        ['min','max'].forEach((limit) => {
+            const value = droptarget.getAttribute(`data-drag-${limit}`);
+            if(value !== null && !/^\s*\d+\s*$/.test(value)) {
+                throw(this.constructor.#exception(`The droptarget "#${droptarget.id}" has an invalid data-drag-${limit} value ("${value}").`, 'RangeError'));
+            }
+        });
+
+        //programmatically associate it with the droptarget and remove any aria-label
+        //nb. just in case it was hard-coded, since it's redundant and maybe conflicting
+        droptarget.setAttribute('aria-labelledby', label.id);
+        droptarget.removeAttribute('aria-label');
+
+        //add the droptarget to the tab order and apply the role description
+        //and set aria-describedby to its corresponding reference ID
+        //unless this is Safari (VoiceOver) which doesn't support descriptions
+        //nb. the role description includes the original role as well
+        //because screen reader users rely on recognising interaction patterns
+        //based on the announced role, eg. arrow keys to navigate a listbox
+        //and although JAWS and NVDA do announce available navigation keys
+        //that's only at beginner verbosity levels, which most regular users
+        //will have switched off because they already know what keys to use
+        //so they just need to know what the container's functional role is
+        droptarget.setAttribute('tabindex', '0');
+        droptarget.setAttribute('aria-roledescription', this.#parseTokens(this.language['role-description'], { role : droptarget.getAttribute('role') }));
+
+        if(!droptarget.hasAttribute('data-drag-safari')) {
+            droptarget.setAttribute('aria-describedby', this.#describedby[droptarget.id].droptarget.id);
+        }
+
+        //if the selection attribute is "aria-selected" then declare aria-multiselectable
+        //nb. this is only valid and applicable if the items are aria-select-able
+        //nb. multi-select behavior is already implied with aria-checked semantics
+        if(droptarget.getAttribute('data-drag-state') == 'aria-selected') {
+            droptarget.setAttribute('aria-multiselectable', 'true');
+        }
+
+        //remove any existing data-drag-valid attribute
+        //nb. this is used to denote valid droptarget containers
+        //where "true" means it is, and "false" means it's the owner
+        //or a container that won't accept the selected items
+        //but removing it otherwise rather than defaulting to "false"
+        //makes it much more useful as a CSS attribute selector:
+        //  [data-drag-valid]           { items are selected (in any container, not necessarily this one) }
+        //  :not([data-drag-valid])     { no items are selected (in any container) }
+        //  [data-drag-valid="false"]   { this is the selection home container (items are selected in this container)
+        //                                or this container doesn't accept the selected items (data-drag-accept) }
+        //  [data-drag-valid="true"]    { this is a valid droptarget (items are selected in another container) }
+        droptarget.removeAttribute('data-drag-valid');
+
+        //remove any tabindex from elements inside this droptarget
+        //nb. just in case they were hard-coded, because that's a contradiction
+        //when we're using aria-activedescendant to manage item navigation
+        //only the droptarget elements themselves should be focusable
+        for(const progeny of droptarget.querySelectorAll('[tabindex]')) {
+            this.#snapshot(progeny);
+            progeny.removeAttribute('tabindex');
+        }
+
+        //get and initialize the dragitems inside this droptarget
         let dragitems = this.#getDragitems(droptarget, true);
 
         //if the droptarget is not empty
@@ -766,6 +1876,7 @@ export default class DragAct {
     #getSorted(droptarget) {
         const sorted = droptarget.querySelector('[data-drag-act="sorted"]');
         if(sorted !== null) {
+            this.#snapshot(sorted);
             sorted.setAttribute('role', 'button');
             sorted.setAttribute('aria-disabled', 'true');
             sorted.setAttribute('aria-label', this.language['sort-notes']);
@@ -776,11 +1887,43 @@ export default class DragAct {
     }
 
 
-    //get the default multiple selection mode based on semantics
-    //  -1 = mutimode by modifier keys or platform default (default)
-    //   0 = multimode is locked to single selection (aria-checked with role=radio)
-    //   1 = non-contiguous multimode by default (aria-checked with role=option)
-    //       contiguous multimode by modifier key if available
+    //get the empty trash button (or not) for a trash droptarget
+    //then if we have one, apply its default attributes
+    //nb. its enabled state depends on whether there's anything in the trash
+    //which is updated whenever the droptarget is refreshed, see updateTrash
+    #getEmpty(droptarget) {
+        const empty = this.#isTrash(droptarget) ? droptarget.querySelector('[data-drag-act="empty"]') : null;
+        if(empty !== null) {
+            this.#snapshot(empty);
+            empty.setAttribute('role', 'button');
+            empty.setAttribute('aria-disabled', 'true');
+            empty.setAttribute('aria-label', this.language['empty-trash']);
+        }
+        return empty;
+    }
+
+
+    //get the restore items button (or not) for a trash droptarget
+    //then if we have one, apply its default attributes
+    //nb. its enabled state depends on whether there's anything in the trash that can be
+    //restored, which is updated whenever the droptarget is refreshed, see updateTrash
+    #getRestore(droptarget) {
+        const restore = this.#isTrash(droptarget) ? droptarget.querySelector('[data-drag-act="restore"]') : null;
+        if(restore !== null) {
+            this.#snapshot(restore);
+            restore.setAttribute('role', 'button');
+            restore.setAttribute('aria-disabled', 'true');
+            restore.setAttribute('aria-label', this.language['restore-trash']);
+        }
+        return restore;
+    }
+
+
+    //get the default multiple selection mode based on semantics
+    //  -1 = mutimode by modifier keys or platform default (default)
+    //   0 = multimode is locked to single selection (aria-checked with role=radio)
+    //   1 = non-contiguous multimode by default (aria-checked with role=option)
+    //       contiguous multimode by modifier key if available
     //nb. this returns a truthy value unless single selection is locked
     #getDefaultMultimode(droptarget, dragitems) {
 
@@ -898,6 +2041,252 @@ export default class DragAct {
     };
 
 
+    //auto-scroll a droptarget or the viewport while the pointer is near its edge during a drag
+    //nb. this is called by every dragover or pointermove, which update the coordinates
+    //and start an animation frame loop if there isn't one, that continues for as long as
+    //there's something to scroll, so it keeps going while the pointer is held still
+    //nb. this doesn't happen at all if the user prefers reduced motion
+    #autoScroll(x, y) {
+
+        if(!window.matchMedia('(prefers-reduced-motion: no-preference)').matches) {
+            return;
+        }
+
+        this.#scroller.x = x;
+        this.#scroller.y = y;
+
+        if(this.#scroller.frame === null) {
+            const step = () => {
+                this.#scroller.frame = null;
+                if(this.#selection.dragitems.length && this.#doScrollStep(this.#scroller.x, this.#scroller.y)) {
+                    this.#scroller.frame = window.requestAnimationFrame(step);
+                }
+            };
+            this.#scroller.frame = window.requestAnimationFrame(step);
+        }
+    }
+
+
+    //stop any edge auto-scrolling loop
+    #stopScroll() {
+        if(this.#scroller.frame !== null) {
+            window.cancelAnimationFrame(this.#scroller.frame);
+            this.#scroller.frame = null;
+        }
+    }
+
+
+    //do a single frame of edge auto-scrolling from pointer coordinates
+    //which scrolls a scrollable droptarget under the pointer if it's near that edge
+    //otherwise it scrolls the viewport if it's near that edge
+    //then returns true if anything scrolled, or false if there was nothing to scroll
+    //nb. the droptarget is only scrollable if its overflow allows it
+    //which the stylesheet permits with max-height and overflow-y
+    #doScrollStep(x, y) {
+
+        const node = document.elementFromPoint(x, y);
+        const droptarget = node ? this.#getClosest(node) : null;
+        if(droptarget) {
+
+            const style = window.getComputedStyle(droptarget);
+            const box = droptarget.getBoundingClientRect();
+
+            const dx = /(auto|scroll)/.test(style.overflowX) ? this.#getScrollDelta(x, box.left, box.right) : 0;
+            const dy = /(auto|scroll)/.test(style.overflowY) ? this.#getScrollDelta(y, box.top, box.bottom) : 0;
+
+            if(dx || dy) {
+                const { scrollLeft, scrollTop } = droptarget;
+                droptarget.scrollBy(dx, dy);
+                if(droptarget.scrollLeft != scrollLeft || droptarget.scrollTop != scrollTop) {
+                    return true;
+                }
+            }
+        }
+
+        const dx = this.#getScrollDelta(x, 0, window.innerWidth);
+        const dy = this.#getScrollDelta(y, 0, window.innerHeight);
+
+        if(dx || dy) {
+            const { scrollX, scrollY } = window;
+            window.scrollBy(dx, dy);
+            return (window.scrollX != scrollX || window.scrollY != scrollY);
+        }
+        return false;
+    }
+
+
+    //get the auto-scroll delta for a pointer position between two edges
+    //which is negative near the start edge, positive near the end edge, or otherwise zero
+    //nb. the speed is proportional to how close the pointer is to the edge
+    #getScrollDelta(position, start, end) {
+
+        const zone = Math.min(this.constructor.#scrollzone, (end - start) / 4);
+        const speed = this.constructor.#scrollspeed;
+
+        if(position < start + zone) {
+            return -Math.ceil(speed * Math.min(1, (start + zone - position) / zone));
+        }
+        if(position > end - zone) {
+            return Math.ceil(speed * Math.min(1, (position - (end - zone)) / zone));
+        }
+        return 0;
+    }
+
+
+    //navigate to a dragitem, as plain navigation rather than range selection
+    //by updating the activedescendant, along with the dragitems accessible description
+    //and the auto-selection behavior for MacOS/Safari or locked single selection
+    #activeNavigate(droptarget, dragitem) {
+
+        //clear the dragitems accessible description if this item is unselected
+        //otherwise restore the description for the number of selected items
+        //nb. this means that the number of selected items is only announced
+        //when you navigate to an already-selected item (or when it changes)
+        //which provides that information on-demand without becoming repetitive
+        if(dragitem.getAttribute(droptarget.getAttribute('data-drag-state')) == 'false') {
+            this.#undescribeDragitems(dragitem);
+        }
+        else {
+            this.#describeDragitems(droptarget, this.#selection.dragitems.length);
+        }
+
+        //if we have a matching or null selection owner
+        //nb. items inside non-owner targets are not navigable or selectable
+        if(!this.#selection.owner || this.#selection.owner === droptarget) {
+
+            //implement auto-selection behavior for MacOS/Safari or locked single selection
+            //nb. VoiceOver (with a keyboard) implements an auto-selection model
+            //for listboxes, the same behavior as desktop Finder navigation
+            //and there's no way to override or stop it from doing this
+            //so the only way to make its selection announcements follow the
+            //selections, is to make the selections follow its announcements
+            //nb. this is also the model we use for [role="radio"] single selection
+            //in which selection following focus is the expected pattern
+            if(droptarget.getAttribute('data-drag-safari') == 'macos' || !this.#collection[droptarget.id].multimode) {
+
+                //clear the dragitems accessible description
+                this.#undescribeDragitems(dragitem);
+
+                //select this item using single selection
+                this.#doSelectionThing(droptarget, dragitem, 0);
+
+                //apply accessible descriptions for the number of selected items
+                this.#describeDragitems(droptarget, this.#selection.dragitems.length);
+            }
+        }
+
+        //update activedescendant to this dragitem
+        this.#activeUpdate(droptarget, dragitem);
+
+        //auto-scroll the activedescendant into view, if that's necessary
+        this.#activeScroll(droptarget);
+    };
+
+
+    //type-ahead to the next dragitem whose accessible name starts with the search string
+    //nb. characters typed within the timeout are added to the search string
+    //and the search starts from the activedescendant, so typing more characters
+    //refines the current match, unless the string is a single repeated character
+    //in which case it starts from the next item, so eg. typing "b" repeatedly
+    //cycles through all the items whose name begins with "b"
+    //nb. the search wraps around, and the case folding respects the instance language
+    #doTypeAheadThing(droptarget, character) {
+
+        //add the character to the search string, then (re)start the reset timer
+        const typeahead = this.#typeahead;
+        if(typeahead.timer !== null) {
+            window.clearTimeout(typeahead.timer);
+            this.#timers.delete(typeahead.timer);
+        }
+        typeahead.search += this.#foldCase(character);
+        typeahead.timer = window.setTimeout(() => {
+            this.#timers.delete(typeahead.timer);
+            typeahead.search = '';
+            typeahead.timer = null;
+        }, this.#options.typeAheadTimeout);
+        this.#timers.add(typeahead.timer);
+
+        //nothing more to do if the container is empty
+        const dragitems = this.#collection[droptarget.id].dragitems;
+        if(!dragitems.length) {
+            return;
+        }
+
+        //get the query and the starting index, according to whether the string is repeated
+        const characters = [ ...typeahead.search ];
+        const repeated = characters.every((char) => char == characters[0]);
+        const query = repeated ? characters[0] : typeahead.search;
+
+        const activeid = droptarget.getAttribute('aria-activedescendant');
+        const active = dragitems.findIndex((dragitem) => dragitem.id == activeid);
+        const start = repeated ? active + 1 : Math.max(active, 0);
+
+        //then find the first matching dragitem from there, and navigate to it
+        //nb. if that's the activedescendant, then there's nothing to change
+        for(let n = 0; n < dragitems.length; n ++) {
+            const index = (start + n) % dragitems.length;
+            if(this.#foldCase(this.#getName(dragitems[index])).indexOf(query) === 0) {
+                if(index != active) {
+                    this.#activeNavigate(droptarget, dragitems[index]);
+                }
+                return;
+            }
+        }
+    };
+
+
+    //get the accessible name of a dragitem, which is its aria-label,
+    //the text of its aria-labelledby elements, or otherwise its text content
+    //including image alt text, but not hidden content or our selection numbers
+    //nb. this is a simplified name computation, but it's good enough for matching
+    #getName(dragitem) {
+
+        const getText = (node) => {
+            return [ ...node.childNodes ].map((child) => {
+                if(child.nodeType == 3) {
+                    return child.textContent;
+                }
+                if(child.nodeType != 1 || child.hidden || child.getAttribute('aria-hidden') == 'true' || child.getAttribute('data-drag-act') == 'number') {
+                    return '';
+                }
+                if(child.getAttribute('aria-label')) {
+                    return ` ${child.getAttribute('aria-label')} `;
+                }
+                if(child.localName == 'img') {
+                    return ` ${child.getAttribute('alt') || ''} `;
+                }
+                return getText(child);
+            }).join('');
+        };
+
+        let name = dragitem.getAttribute('aria-label');
+        if(!name && dragitem.getAttribute('aria-labelledby')) {
+            name = dragitem.getAttribute('aria-labelledby').trim().split(/\s+/).map((id) => {
+                const node = document.getElementById(id);
+                return node ? getText(node) : '';
+            }).join(' ');
+        }
+        if(!name) {
+            name = getText(dragitem);
+        }
+
+        return name.replace(/\s+/g, ' ').trim();
+    };
+
+
+    //fold the case of a string for comparison, according to the instance language
+    //nb. the language code might be a custom extension that isn't a valid locale
+    //in which case this falls back to the default case mapping
+    #foldCase(string) {
+        try {
+            return string.toLocaleLowerCase(this.#langcode);
+        }
+        catch(ex) {
+            return string.toLowerCase();
+        }
+    };
+
+
     //update a droptarget's activedescendant to a specified dragitem
     //if both references exist (not null) and they don't already match
     //first saving the current value to the lastdescendant attribute
@@ -958,11 +2347,7 @@ export default class DragAct {
                 //describe it any differently than if it was just a <span>
                 let number = document.createElement('u');
                 number.setAttribute('data-drag-act', 'number');
-                number.id = this.constructor.#getID({
-                    index   : this.#index,
-                    type    : 'number',
-                    counter : this.#counter ++
-                });
+                number.id = this.#getID('number');
 
                 //nb. the number format is defined in lang because languages have
                 //different kinds of numbering syntax, "#" is an american thing really
@@ -970,7 +2355,7 @@ export default class DragAct {
                 //screenreaders as "Number 1", which helps to differentiate it from
                 //built-in index descriptions, eg. "Willow, checked, 2 of 5, Number 1."
                 //and it's also visually useful to support what the numbers mean
-                number.textContent = this.#parseToken(this.language['sort-number'], 'number', (index + 1));
+                number.textContent = this.#parseTokens(this.language['sort-number'], { number : (index + 1) });
 
                 //nb. adding new text inside the dragitem changes its accessible name
                 //which triggers an event in the accessibility API, and if the
@@ -1134,7 +2519,11 @@ export default class DragAct {
         if(!this.#selection.dragitems.length) {
 
             //reset the sorting flag to sort by traversal order
+            //and reset the number of trimmed items, the drop effect and position
             this.#selection.nodesort = true;
+            this.#selection.overflow = 0;
+            this.#selection.effect = null;
+            this.#setPosition(null);
 
             //restart the observer on the scope element
             this.#observer.observe(this.#scope, {
@@ -1168,11 +2557,41 @@ export default class DragAct {
 
 
     //do something after a short delay to give time for screen reader updates
-    //nb. the 250ms value is trial and error guided by previous experience
+    //nb. the default 250ms value is trial and error guided by previous experience
     //that screen readers will have updated their snapshot within that time
     //eg. an injected status region works if you wait that long to populate it
+    //nb. this can be changed with the bufferDelay option
     #buffer(fn) {
-        window.setTimeout(fn, 250);
+        const timer = window.setTimeout(() => {
+            this.#timers.delete(timer);
+            fn();
+        }, this.#options.bufferDelay);
+        this.#timers.add(timer);
+    }
+
+
+    //bind an event listener and save it to the instance listeners set
+    //nb. once listeners remove themselves from the set when they fire
+    //so the set doesn't keep growing with stale references to them
+    #bind(target, type, handler, options = false) {
+        const listener = { target, type, handler, options };
+        if(options.once) {
+            listener.handler = (e) => {
+                this.#listeners.delete(listener);
+                handler(e);
+            };
+        }
+        target.addEventListener(type, listener.handler, options);
+        this.#listeners.add(listener);
+    }
+
+
+    //record the original attributes of an element before we first modify it
+    //nb. this does nothing if we already have a snapshot for this element
+    #snapshot(node) {
+        if(!this.#snapshots.has(node)) {
+            this.#snapshots.set(node, Array.from(node.attributes).map((attr) => [ attr.name, attr.value ]));
+        }
     }
 
 
@@ -1205,7 +2624,11 @@ export default class DragAct {
             if(droptarget !== this.#selection.owner) {
 
                 //update drag-valid to also indicate that this is a valid drop location
-                droptarget.setAttribute('data-drag-valid', 'true');
+                //unless it won't take the selected items, in which case it remains "false"
+                const refusal = this.#getRefusal(droptarget);
+                if(!refusal) {
+                    droptarget.setAttribute('data-drag-valid', 'true');
+                }
 
                 //set aria-disabled on all its dragitems so they can't be selected
                 //nb. this still allows users to navigate and review the items
@@ -1224,341 +2647,2029 @@ export default class DragAct {
                 });
 
                 //apply accessible descriptions for the drop location state
-                this.#describeDroptarget(droptarget, 'drop-notes');
+                //or the refusal notes if it doesn't accept the selected items
+                this.#describeDroptarget(droptarget, refusal || 'drop-notes');
             }
         }
     };
 
 
-    //clear drag-valid from droptargets
-    #clearDragValid() {
+    //test whether a droptarget accepts a set of dragitems, defaulting to the selection
+    //nb. droptargets can declare data-drag-accept with a space-separated list of types
+    //and dragitems can declare data-drag-type with a space-separated list of types
+    //then the droptarget accepts the items if each of them has at least one matching type
+    //nb. droptargets without data-drag-accept accept everything, even untyped items
+    //but droptargets with data-drag-accept never accept untyped items
+    #getAccepted(droptarget, dragitems = this.#selection.dragitems) {
 
-        //nothing to do if there are no selected items
-        if(!this.#selection.dragitems.length) {
-            return;
+        const accept = (droptarget.getAttribute('data-drag-accept') || '').trim();
+        if(!accept) {
+            return true;
         }
 
-        //reset drag-valid on all droptargets, and remove any dragout or dragover class
-        //then reset selections and enable any disabled dragitems inside them
-        for(const [ key, collection ] of Object.entries(this.#collection)) {
+        const types = accept.split(/\s+/);
+        return dragitems.every((dragitem) => {
+            return (dragitem.getAttribute('data-drag-type') || '').trim().split(/\s+/).some((type) => types.includes(type));
+        });
+    }
 
-            const droptarget = collection.droptarget;
-            const dragitems = collection.dragitems;
-            const sorted = collection.sorted;
 
-            //remove drag-valid and any dragover class
-            droptarget.removeAttribute('data-drag-valid');
-            droptarget.classList.remove('dragover');
+    //get a declared capacity limit for a droptarget ("min" or "max")
+    //or null if the droptarget doesn't declare that limit
+    //nb. the values are validated when the droptarget is initialized
+    #getLimit(droptarget, limit) {
+        const value = droptarget.getAttribute(`data-drag-${limit}`);
+        return value === null ? null : parseInt(value, 10);
+    }
 
-            //if we have a sort button, disable and remove it from the tab order
-            //then deassociate it from the dragitems description element
-            if(sorted !== null) {
-                sorted.setAttribute('aria-disabled', 'true');
-                sorted.removeAttribute('tabindex');
-                sorted.removeAttribute('aria-describedby');
+
+    //get the number of places remaining in a droptarget, according to its maximum
+    //nb. this is Infinity if the droptarget doesn't declare a maximum
+    //or zero if it's full (or over-full if items were added externally)
+    #getRoom(droptarget) {
+        const max = this.#getLimit(droptarget, 'max');
+        if(max === null) {
+            return Infinity;
+        }
+        return Math.max(0, max - this.#collection[droptarget.id].dragitems.length);
+    }
+
+
+    //get the language key for the reason why a droptarget won't take a set of dragitems
+    //(defaulting to the selection) or null if it will, which is always the case for the owner
+    //nb. a droptarget won't take the items if it doesn't accept their types
+    //or if it doesn't have room for them, unless data-drag-overflow is "trim"
+    //in which case it will take as many as it has room for, as long as that's any
+    //nb. it also won't take them if they'd be moved rather than copied
+    //and that would leave fewer items in the owner than its data-drag-min
+    //where the effect is the selection effect if that's been resolved, or the default
+    #getRefusal(droptarget, dragitems = this.#selection.dragitems) {
+
+        if(droptarget === this.#selection.owner) {
+            return null;
+        }
+
+        if(!this.#getAccepted(droptarget, dragitems)) {
+            return 'refused-notes';
+        }
+
+        const room = this.#getRoom(droptarget);
+        if(room < 1 || (room < dragitems.length && droptarget.getAttribute('data-drag-overflow') != 'trim')) {
+            return 'full-notes';
+        }
+
+        const min = this.#selection.owner ? this.#getLimit(this.#selection.owner, 'min') : null;
+        if(min !== null && (this.#selection.effect || this.#getEffect(droptarget)) == 'move') {
+            if(this.#collection[this.#selection.owner.id].dragitems.length - Math.min(room, dragitems.length) < min) {
+                return 'minimum-notes';
             }
+        }
 
-            //if this droptarget is not the selection owner
-            //or it is when this comes after same-container drop sort
-            //which we can identify from the residual value of nodesort
-            if(droptarget !== this.#selection.owner || !this.#selection.nodesort) {
+        return null;
+    }
 
-                //restore the enabled state of items that were temporarily disabled
-                //nb. this still allows users to navigate and review the items
-                //as part of deciding whether to drop the selected items here
-                //nb. remember whether each item was already disabled, so that
-                //we can restore its initial disabled state when resetting this
-                dragitems.forEach((dragitem) => {
-                    dragitem.removeAttribute('aria-disabled');
-                    if(dragitem.getAttribute('data-drag-disabled') == 'true') {
-                        dragitem.setAttribute('aria-disabled', 'true');
-                    }
-                    dragitem.removeAttribute('data-drag-disabled');
-                });
 
-                //if it's not the selection droptarget either
-                //apply accessible descriptions for the default selection state
-                if(droptarget !== this.#selection.droptarget) {
-                    this.#describeDroptarget(droptarget, 'selection-notes');
-                }
+    //get the drop effect for a droptarget, either "move" or "copy"
+    //optionally toggling the default effect, eg. when Alt/Option is pressed
+    //nb. the default is declared by data-drag-effect on the droptarget
+    //or on the scope element for the whole instance, otherwise it's "move"
+    //nb. same-container sorts are always moves, because copies would just be duplicates
+    //and so are drops into the trash, because copies would just be deleted
+    #getEffect(droptarget, toggle = false) {
 
-                //but if (it is the selection droptarget and) we have any selections
-                else if(this.#selection.dragitems.length) {
+        if(droptarget === this.#selection.owner || this.#isTrash(droptarget)) {
+            return 'move';
+        }
 
-                    //nb. JAWS and NVDA don't announce accessible description updates
-                    //for a focused listbox element that has an activedescendant
-                    //there are several workarounds for this, which involve either
-                    //temporarily removing or invalidating aria-activedescendant
-                    //but both of those approaches resulted in dual announcemt
-                    //however synchronously removing the role, either side of updating
-                    //the description, avoids the problem without that side-effect
-                    //but don't do that for Safari because it stops the announcement
-                    const role = droptarget.getAttribute('role');
-                    if(!droptarget.hasAttribute('data-drag-safari')) {
-                        droptarget.removeAttribute('role');
-                    }
+        let effect = droptarget.getAttribute('data-drag-effect') || this.#scope.getAttribute('data-drag-effect');
+        effect = (effect == 'copy') ? 'copy' : 'move';
+        if(toggle) {
+            effect = (effect == 'copy') ? 'move' : 'copy';
+        }
+        return effect;
+    }
 
-                    //apply accessible descriptions for the number of dropped items
-                    this.#describeDroptarget(droptarget, 'dropped-items', this.#selection.dragitems.length);
 
-                    //now restore the role
-                    droptarget.setAttribute('role', role);
+    //check whether an element is a droptarget in this instance
+    #hasDroptarget(droptarget) {
+        return !!droptarget && (this.#collection[droptarget.id] || {}).droptarget === droptarget;
+    }
 
-                    //then reset to the default selection state when it loses focus
-                    //nb. the dropped items description is only relevant after a drop
-                    //so this ensures that it has the default when it's next announced
-                    droptarget.addEventListener('blur', () => {
 
-                        this.#describeDroptarget(droptarget, 'selection-notes');
-                    },
-                    { once : true });
-
-                    //hide and reset the droptarget description element for Safari
-                    //but only after a short timer to ensure it's announced once
-                    //nb. if we leave it in place then it will be announced
-                    //again when the blur event resets to the selection state
-                    //even if we removed aria-live before that text was updated
-                    //conversely, if we remove it now then it won't be announced at all
-                    //which sounds like a contradiction ... if changes in live behavior
-                    //require a buffer update, then why does removing it now stop it
-                    //being announced, but if that doesn't require a buffer update,
-                    //then why does removing it onblur *not* stop it being announced?
-                    //maybe the difference is related to co-occurring user interaction
-                    //or in whether the live behavior is being added or removed
-                    //don't really know the score there, but this is what we find
-                    let announcer = this.#describedby[droptarget.id].droptarget;
-                    if(droptarget.hasAttribute('data-drag-safari')) {
-                        this.#buffer(() => {
-                            announcer.setAttribute('hidden', '');
-                            announcer.removeAttribute('aria-live');
-                        });
-                    }
-                }
-            }
+    //check whether a droptarget is a trash droptarget
+    //nb. items in the trash are marked as deleted, and aren't included in getState
+    //then they can be restored to where they came from, or removed entirely
+    //nb. see restore and emptyTrash for info
+    #isTrash(droptarget) {
+        return !!droptarget && droptarget.getAttribute('data-drag-role') == 'trash';
+    }
 
-            //otherwise (if it is the owner when this doesn't comes after same-container drop sort)
-            else {
 
-                //re-apply accessible descriptions for the default selection state
-                //just in case the owner is now empty and needs the empty state description
-                this.#describeDroptarget(droptarget, 'selection-notes');
-            }
+    //get the first element inside the scope that matches a selector, or null if there isn't one
+    //nb. an invalid selector is treated the same as a selector that doesn't match anything
+    //so the public methods that take droptarget selectors all report it in the same way
+    //as any other droptarget that isn't in the instance, rather than throwing a SyntaxError
+    #getScopeElement(selector) {
+        try {
+            return this.#scope.querySelector(selector);
         }
-    };
+        catch(ex) {
+            return null;
+        }
+    }
 
 
-    //select or unselect items according to input multimode
-    //in response to a single pointer or keyboard selection event
-    #doSelectionThing(droptarget, dragitem, multimode) {
-        switch(multimode) {
+    //get a droptarget element from an element reference or selector
+    //then check that it's a droptarget element inside the scope, or throw an exception
+    #getDroptargetElement(droptarget) {
 
-            //contiguous multiple selection (selection only)
-            case 2 :
+        if(typeof(droptarget) == 'string') {
+            droptarget = this.#getScopeElement(droptarget);
+        }
+        if(!(droptarget && droptarget.nodeType === 1 && this.#scope.contains(droptarget))) {
+            throw(this.constructor.#exception('The droptarget must be an element inside the scope.', 'ReferenceError'));
+        }
+        if(droptarget.getAttribute('data-drag-act') != 'droptarget') {
+            throw(this.constructor.#exception('The droptarget must have [data-drag-act="droptarget"].', 'TypeError'));
+        }
+        return droptarget;
+    }
 
-                //if the dragitem is not already selected, select it first
-                if(dragitem.getAttribute(droptarget.getAttribute('data-drag-state')) == 'false') {
-                    this.#addSelection(dragitem, droptarget);
-                }
 
-                //then select all the dragitems between this and the previous activedescendant
-                this.#addSelectionRange(droptarget);
+    //get an array of dragitems from a dragitem reference, a selector, or an iterable of dragitems
+    //then check that they're all dragitems in this instance, or throw an exception
+    #getItems(items) {
 
-                //if we have any selections then apply drag-valid
-                if(this.#selection.dragitems.length) {
-                    this.#addDragValid();
-                }
+        if(typeof(items) == 'string') {
+            items = this.#scope.querySelectorAll(items);
+        }
+        else if(items && items.nodeType === 1) {
+            items = [ items ];
+        }
+        if(!(items && typeof(items[Symbol.iterator]) == 'function')) {
+            throw(this.constructor.#exception('The items must be a dragitem, a selector, or an iterable of dragitems.', 'TypeError'));
+        }
 
-            break;
+        items = Array.from(items);
+        items.forEach((dragitem) => {
+            const droptarget = (dragitem && dragitem.nodeType === 1) ? this.#getClosest(dragitem) : null;
+            if(!(droptarget && this.#collection[droptarget.id].dragitems.includes(dragitem))) {
+                throw(this.constructor.#exception('The items must be dragitems in this instance.', 'ReferenceError'));
+            }
+        });
 
-            //non-contiguous multiple selection (or unselection)
-            case 1 :
+        return items;
+    }
 
-                //if the dragitem is already selected
-                if(dragitem.getAttribute(droptarget.getAttribute('data-drag-state')) == 'true') {
+
+    //select or unselect dragitems from the public methods
+    //where mode is "replace", "add", "toggle" or "remove"
+    //then update the activedescendant, descriptions and drag-valid states
+    //in the same way as user selection does, and dispatch a select event
+    #doSelectAction(items, mode) {
+
+        //if we're replacing the selection then clear it first
+        //including the previous owner's dragout class and selection descriptions
+        //in case the new selection is in a different droptarget
+        //then if we're removing items, only include the selected ones
+        if(mode == 'replace') {
+            const previous = this.#selection.owner;
+            this.#clearDragValid();
+            this.#clearSelections();
+            if(previous) {
+                previous.classList.remove('dragout');
+                this.#describeDragitems(previous);
+            }
+        }
+        if(mode == 'remove') {
+            items = items.filter((dragitem) => this.#selection.dragitems.includes(dragitem));
+        }
+
+        //nothing more to do if there are no items
+        if(!items.length) {
+            return this.getSelection();
+        }
+
+        //select or unselect each of the items
+        //nb. iterate through a copy, in case items is the selection array itself
+        const droptarget = this.#getClosest(items[0]);
+        [ ...items ].forEach((dragitem) => {
+
+            if(this.#selection.dragitems.includes(dragitem)) {
+                if(mode == 'toggle' || mode == 'remove') {
 
                     //if this is the only selection, clear drag valid
                     if(this.#selection.dragitems.length === 1) {
                         this.#clearDragValid();
                     }
 
-                    //unselect this dragitem
-                    this.#removeSelection(dragitem);
+                    //unselect this dragitem, and if that was the last selection
+                    //then reset the owner reference
+                    this.#removeSelection(dragitem);
+                    if(!this.#selection.dragitems.length) {
+                        this.#selection.owner = null;
+                    }
+                }
+            }
+            else if(mode != 'remove') {
+                this.#addSelection(dragitem, this.#getClosest(dragitem));
+            }
+        });
+
+        //if we have any selections then apply drag-valid
+        //and update activedescendant to the last selected item
+        //or otherwise remove any owner dragout class
+        const owner = this.#selection.owner || droptarget;
+        if(this.#selection.dragitems.length) {
+            this.#addDragValid();
+            this.#activeUpdate(owner, this.#selection.dragitems[this.#selection.dragitems.length - 1]);
+        }
+        else {
+            owner.classList.remove('dragout');
+        }
+
+        //apply accessible descriptions for the number of selected items
+        //nb. if there are no selected items then the descriptions will be removed
+        this.#describeDragitems(owner, this.#selection.dragitems.length);
+
+        //dispatch a select event for the updated selection
+        //with a null modality, since this isn't from user interaction
+        this.#dispatch('select', false, { owner : owner, modality : null });
+
+        return this.getSelection();
+    }
+
+
+    //get the state value of a dragitem, which is its data-drag-value or its ID
+    #getValue(dragitem) {
+        return dragitem.getAttribute('data-drag-value') || dragitem.id;
+    }
+
+
+    //create a clone of a dragitem for copy drops, with a new generated ID
+    //nb. descendant IDs are removed since they'd be duplicates
+    //as well as any selection numbers and instance-specific attributes
+    //which are then re-initialized when the droptarget is refreshed
+    //nb. the clone shares the original's snapshot without its ID
+    //so that destroy will restore it to the same original markup
+    #getClone(dragitem) {
+
+        const clone = dragitem.cloneNode(true);
+        clone.querySelectorAll('[data-drag-act="number"]').forEach((number) => {
+            number.remove();
+        });
+        clone.querySelectorAll('[id]').forEach((node) => {
+            node.removeAttribute('id');
+        });
+        ['aria-describedby','aria-disabled','data-drag-disabled'].forEach((name) => {
+            clone.removeAttribute(name);
+        });
+        clone.classList.remove(...this.constructor.#classnames);
+
+        if(this.#snapshots.has(dragitem)) {
+            this.#snapshots.set(clone, this.#snapshots.get(dragitem).filter((entry) => entry[0] != 'id'));
+        }
+        this.#clones.add(clone);
+
+        clone.id = this.#getID('dragitem');
+
+        return clone;
+    }
+
+
+    //create a drag preview of the selected items, for native and pointer drags
+    //which is a copy of the dragged item, stacked if there are several selected items
+    //with a count badge, or is built from a <template data-drag-act="preview"> in the scope
+    //where the first [data-drag-act="clone"] element is replaced with the copy of the dragged item
+    //and any [data-drag-act="count"] elements are populated with the number of selected items
+    //nb. the preview is positioned so that its copy is over the original dragged item
+    //so it can be translated from there to follow the pointer
+    //nb. this is a visual copy that's hidden from assistive technologies
+    //and the stylesheet stops it taking pointer events, so it doesn't get
+    //in the way of hit-testing what's underneath it with elementFromPoint
+    #getPreview(dragitem) {
+
+        const count = this.#selection.dragitems.length;
+        const rect = dragitem.getBoundingClientRect();
+
+        const clone = dragitem.cloneNode(true);
+        clone.querySelectorAll('[data-drag-act="number"]').forEach((number) => {
+            number.remove();
+        });
+        clone.querySelectorAll('[id]').forEach((node) => {
+            node.removeAttribute('id');
+        });
+        [ ...clone.attributes ].forEach((attr) => {
+            if(['id','role','draggable','class'].includes(attr.name) || attr.name.indexOf('aria-') === 0 || attr.name.indexOf('data-drag-') === 0) {
+                clone.removeAttribute(attr.name);
+            }
+        });
+        clone.setAttribute('data-drag-act', 'clone');
+        clone.style.width = `${rect.width}px`;
+
+        const preview = document.createElement('div');
+        preview.setAttribute('data-drag-act', 'preview');
+        preview.setAttribute('data-drag-count', count);
+        preview.setAttribute('aria-hidden', 'true');
+
+        const template = this.#scope.querySelector('template[data-drag-act="preview"]');
+        if(template) {
+            preview.appendChild(template.content.cloneNode(true));
+
+            const placeholder = preview.querySelector('[data-drag-act="clone"]');
+            if(placeholder) {
+                placeholder.replaceWith(clone);
+            }
+            preview.querySelectorAll('[data-drag-act="count"]').forEach((node) => {
+                node.textContent = count;
+            });
+        }
+        else {
+            preview.appendChild(clone);
+
+            if(count > 1) {
+                const badge = document.createElement('span');
+                badge.setAttribute('data-drag-act', 'count');
+                badge.textContent = count;
+                preview.appendChild(badge);
+            }
+        }
+
+        document.body.appendChild(preview);
+
+        //now that it's rendered, position the preview so the copy is over the original
+        //or so the preview itself is, if the template didn't include a clone element
+        const outer = preview.getBoundingClientRect();
+        const inner = preview.contains(clone) ? clone.getBoundingClientRect() : outer;
+        preview.style.left = `${rect.left - (inner.left - outer.left)}px`;
+        preview.style.top = `${rect.top - (inner.top - outer.top)}px`;
+
+        return preview;
+    }
+
+
+    //get the layout orientation of a droptarget's dragitems, either "horizontal" or "vertical"
+    //which is defined by aria-orientation, or otherwise derived from the first two items
+    //nb. this determines which axis is used to position insertions
+    #getOrientation(droptarget, dragitems = this.#collection[droptarget.id].dragitems) {
+
+        const orientation = droptarget.getAttribute('aria-orientation');
+        if(orientation == 'horizontal' || orientation == 'vertical') {
+            return orientation;
+        }
+
+        if(dragitems.length > 1) {
+            const first = dragitems[0].getBoundingClientRect();
+            const second = dragitems[1].getBoundingClientRect();
+            if(Math.abs(second.left - first.left) > Math.abs(second.top - first.top)) {
+                return 'horizontal';
+            }
+        }
+        return 'vertical';
+    }
+
+
+    //get the logical arrow key for a droptarget, which swaps ArrowLeft and ArrowRight
+    //if it's a grid or horizontally-oriented droptarget with right-to-left direction
+    //so that ArrowRight always moves to the item that's visually on the right
+    //nb. vertical droptargets aren't affected, since left and right are only
+    //ever aliases of up and down, which don't have any direction
+    #getArrowKey(droptarget, keyname) {
+
+        if(keyname == 'arrowleft' || keyname == 'arrowright') {
+            if(window.getComputedStyle(droptarget).direction == 'rtl') {
+                if(this.#isGrid(droptarget) || this.#getOrientation(droptarget) == 'horizontal') {
+                    return keyname == 'arrowleft' ? 'arrowright' : 'arrowleft';
+                }
+            }
+        }
+        return keyname;
+    }
+
+
+    //identify whether a droptarget uses grid navigation
+    //which is defined by data-drag-layout="grid" or a data-drag-columns value
+    //nb. in grid navigation ArrowUp and ArrowDown move between rows
+    //while ArrowLeft and ArrowRight move within a row
+    #isGrid(droptarget) {
+        return droptarget.getAttribute('data-drag-layout') == 'grid' || droptarget.hasAttribute('data-drag-columns');
+    }
+
+
+    //get the rows of a grid droptarget, as an array of arrays of dragitem indexes
+    //which are defined by data-drag-columns, or otherwise derived from item geometry
+    //where each item starts a new row if it's below the middle of the previous row
+    //nb. this relies on the items being in reading order, as they are in wrapped layouts
+    #getRows(droptarget, dragitems = this.#collection[droptarget.id].dragitems) {
+
+        const rows = [];
+
+        const columns = parseInt(droptarget.getAttribute('data-drag-columns'), 10);
+        if(columns > 0) {
+            dragitems.forEach((dragitem, n) => {
+                if(n % columns == 0) {
+                    rows.push([]);
+                }
+                rows[rows.length - 1].push(n);
+            });
+            return rows;
+        }
+
+        let middle = -Infinity;
+        dragitems.forEach((dragitem, n) => {
+            const box = dragitem.getBoundingClientRect();
+            if(!rows.length || box.top >= middle) {
+                rows.push([]);
+                middle = box.top + (box.height / 2);
+            }
+            rows[rows.length - 1].push(n);
+        });
+        return rows;
+    }
+
+
+    //get the insertion position in a droptarget from pointer coordinates
+    //which is before or after the nearest unselected dragitem, or null if there isn't one
+    //nb. before or after is determined by which half of the item the pointer is in
+    //along the axis of the droptarget's orientation
+    #getPosition(droptarget, x, y) {
+
+        const dragitems = this.#collection[droptarget.id].dragitems.filter((dragitem) => {
+            return !this.#selection.dragitems.includes(dragitem);
+        });
+        if(!dragitems.length) {
+            return null;
+        }
+
+        let nearest = null;
+        let distance = Infinity;
+        dragitems.forEach((dragitem) => {
+            const rect = dragitem.getBoundingClientRect();
+            const offset = Math.hypot(x - (rect.left + rect.width / 2), y - (rect.top + rect.height / 2));
+            if(offset < distance) {
+                nearest = { dragitem : dragitem, rect : rect };
+                distance = offset;
+            }
+        });
+
+        const before = (this.#getOrientation(droptarget, dragitems) == 'horizontal')
+            ? (x < nearest.rect.left + nearest.rect.width / 2)
+            : (y < nearest.rect.top + nearest.rect.height / 2);
+
+        return { dragitem : nearest.dragitem, side : before ? 'before' : 'after' };
+    }
+
+
+    //get the insertion position in a droptarget relative to its activedescendant
+    //or null if there isn't one, ie. if the droptarget is empty
+    #getActivePosition(droptarget, before = false) {
+
+        const activedescendant = droptarget.querySelector('#' + droptarget.getAttribute('aria-activedescendant'));
+        if(!activedescendant) {
+            return null;
+        }
+        return { dragitem : activedescendant, side : before ? 'before' : 'after' };
+    }
+
+
+    //set the insertion position for the current drop action
+    //and update the insertion indicator to match, removing it from any other dragitem
+    //nb. the indicator is data-drag-insert, which is "before" or "after"
+    //so that CSS can show where the items will go, eg. with an edge line
+    #setPosition(position) {
+
+        this.#selection.position = position;
+
+        this.#scope.querySelectorAll('[data-drag-insert]').forEach((dragitem) => {
+            if(!position || dragitem !== position.dragitem) {
+                dragitem.removeAttribute('data-drag-insert');
+            }
+        });
+        if(position) {
+            position.dragitem.setAttribute('data-drag-insert', position.side);
+        }
+    }
+
+
+    //clear drag-valid from droptargets
+    #clearDragValid() {
+
+        //nothing to do if there are no selected items
+        if(!this.#selection.dragitems.length) {
+            return;
+        }
+
+        //reset drag-valid on all droptargets, and remove any dragout or dragover class
+        //then reset selections and enable any disabled dragitems inside them
+        for(const [ key, collection ] of Object.entries(this.#collection)) {
+
+            const droptarget = collection.droptarget;
+            const dragitems = collection.dragitems;
+            const sorted = collection.sorted;
+
+            //remove drag-valid and any dragover class
+            droptarget.removeAttribute('data-drag-valid');
+            droptarget.classList.remove('dragover');
+
+            //if we have a sort button, disable and remove it from the tab order
+            //then deassociate it from the dragitems description element
+            if(sorted !== null) {
+                sorted.setAttribute('aria-disabled', 'true');
+                sorted.removeAttribute('tabindex');
+                sorted.removeAttribute('aria-describedby');
+            }
+
+            //if this droptarget is not the selection owner
+            //or it is when this comes after same-container drop sort
+            //which we can identify from the residual value of nodesort
+            if(droptarget !== this.#selection.owner || !this.#selection.nodesort) {
+
+                //restore the enabled state of items that were temporarily disabled
+                //nb. this still allows users to navigate and review the items
+                //as part of deciding whether to drop the selected items here
+                //nb. remember whether each item was already disabled, so that
+                //we can restore its initial disabled state when resetting this
+                dragitems.forEach((dragitem) => {
+                    dragitem.removeAttribute('aria-disabled');
+                    if(dragitem.getAttribute('data-drag-disabled') == 'true') {
+                        dragitem.setAttribute('aria-disabled', 'true');
+                    }
+                    dragitem.removeAttribute('data-drag-disabled');
+                });
+
+                //if it's not the selection droptarget either
+                //apply accessible descriptions for the default selection state
+                if(droptarget !== this.#selection.droptarget) {
+                    this.#describeDroptarget(droptarget, 'selection-notes');
+                }
+
+                //but if (it is the selection droptarget and) we have any selections
+                else if(this.#selection.dragitems.length) {
+
+                    //announce the number of dropped items through the droptarget description
+                    //or the trimmed items description if some of the items didn't fit
+                    //or the copied items description if they were copied rather than moved
+                    //followed by the position of the first dropped item, which we can derive
+                    //from the activedescendant, since that's the last one and they're contiguous
+                    //nb. or the trashed items description without the position, if this is the trash
+                    let key = (this.#selection.effect == 'copy') ? 'copied-items' : 'dropped-items';
+                    if(this.#selection.overflow) {
+                        key = 'trimmed-items';
+                    }
+                    const activedescendant = droptarget.querySelector('#' + droptarget.getAttribute('aria-activedescendant'));
+                    const tokens = this.#getTokenValues({
+                        target      : droptarget,
+                        source      : this.#selection.owner,
+                        names       : this.#selection.dragitems,
+                        position    : dragitems.indexOf(activedescendant) - this.#selection.dragitems.length + 2,
+                        total       : dragitems.length
+                    });
+                    if(this.#isTrash(droptarget) && droptarget !== this.#selection.owner) {
+                        this.#announceDroptarget(droptarget, this.#getDescription('trashed-items', this.#selection.dragitems.length, tokens));
+                    }
+                    else {
+                        const notes = this.#getDescription('position-notes', 0, tokens);
+                        this.#announceDroptarget(droptarget, `${this.#getDescription(key, this.#selection.dragitems.length, tokens)} ${notes}`);
+                    }
+                }
+            }
+
+            //otherwise (if it is the owner when this doesn't comes after same-container drop sort)
+            else {
+
+                //re-apply accessible descriptions for the default selection state
+                //just in case the owner is now empty and needs the empty state description
+                this.#describeDroptarget(droptarget, 'selection-notes');
+            }
+        }
+    };
+
+
+    //select or unselect items according to input multimode
+    //in response to a single pointer or keyboard selection event
+    #doSelectionThing(droptarget, dragitem, multimode) {
+        switch(multimode) {
+
+            //contiguous multiple selection (selection only)
+            case 2 :
+
+                //if the dragitem is not already selected, select it first
+                if(dragitem.getAttribute(droptarget.getAttribute('data-drag-state')) == 'false') {
+                    this.#addSelection(dragitem, droptarget);
+                }
+
+                //then select all the dragitems between this and the previous activedescendant
+                this.#addSelectionRange(droptarget);
+
+                //if we have any selections then apply drag-valid
+                if(this.#selection.dragitems.length) {
+                    this.#addDragValid();
+                }
+
+            break;
+
+            //non-contiguous multiple selection (or unselection)
+            case 1 :
+
+                //if the dragitem is already selected
+                if(dragitem.getAttribute(droptarget.getAttribute('data-drag-state')) == 'true') {
+
+                    //if this is the only selection, clear drag valid
+                    if(this.#selection.dragitems.length === 1) {
+                        this.#clearDragValid();
+                    }
+
+                    //unselect this dragitem
+                    this.#removeSelection(dragitem);
+
+                    //if that was the last selection, reset the owner reference
+                    if(!this.#selection.dragitems.length) {
+                        this.#selection.owner = null;
+                    }
+                }
+
+                //otherwise (if the items is not already selected)
+                else {
+
+                    //add this dragitem to the selection dragitems array
+                    this.#addSelection(dragitem, droptarget);
+
+                    //if we have any selections then apply drag-valid
+                    if(this.#selection.dragitems.length) {
+                        this.#addDragValid();
+                    }
+                }
+
+            break;
+
+            //exclusive single selection (or unselection)
+            default :
+
+                //is this dragitem the only selection
+                const single = this.#selection.dragitems.length == 1 && this.#selection.dragitems.includes(dragitem);
+
+                //clear drag-valid and reset all selections
+                this.#clearDragValid();
+                this.#clearSelections();
+
+                //if this dragitem was not the only selection
+                //reselect it then apply drag valid if that was successful
+                //nb. this means that unmodified click will unselect all then select this dragitem,
+                //unless it was the only selection, or disabled, in which case it will just unselect
+                if(!single) {
+                    this.#addSelection(dragitem, droptarget);
+                    if(this.#selection.dragitems.length) {
+                        this.#addDragValid();
+                    }
+                }
+
+            break;
+        }
+
+        //dispatch a select event for the updated selection
+        //nb. this is dispatched for unselection as well, in which case
+        //the detail dragitems array will be empty if nothing remains selected
+        this.#dispatch('select', false, { owner : this.#selection.owner || droptarget });
+    }
+
+
+    //propose to move selected items to droptarget (or not as the case may be)
+    //nb. this returns true or false for whether the drop happened
+    //unless the beforedrop hook returns a promise, in which case this
+    //returns a promise that resolves to true or false when it's settled
+    //nb. errors from the hook, or from invalid hook results, refuse the drop
+    //and are reported rather than thrown, since the callers are event listeners
+    //unless rethrow is true, in which case they're thrown (or rejected) after the refusal
+    #doDropThing(rethrow = false) {
+
+        //if we have an owner reference, remove its dragout class if present
+        if(this.#selection.owner) {
+            this.#selection.owner.classList.remove('dragout');
+        }
+
+        //nothing to do if we don't have a droptarget reference
+        //nb. having one also implies that we have owner and selected items
+        if(!this.#selection.droptarget) {
+            return false;
+        }
+
+        //if a previous drop is still pending then ignore this one
+        if(this.#pending) {
+            this.#selection.droptarget.classList.remove('dragover');
+            this.#selection.droptarget = null;
+            this.#setPosition(null);
+            return false;
+        }
+
+        //refuse the drop if the droptarget won't take the selected items
+        //nb. the owner is exempt from this, since that's a same-container sort
+        const refusal = this.#getRefusal(this.#selection.droptarget);
+        if(refusal) {
+            return this.#refuseDrop(this.#selection.droptarget, this.#describeCapacity(this.#selection.droptarget, refusal));
+        }
+
+        //resolve the default drop effect if the caller didn't define one
+        if(!this.#selection.effect) {
+            this.#selection.effect = this.#getEffect(this.#selection.droptarget);
+        }
+
+        //compile a dictionary of the proposed drop
+        //nb. this is a copy of the selection data at this moment
+        //so we can tell if the selection changes while a promise is pending
+        const proposal = {
+            dragitems   : [ ...this.#selection.dragitems ],
+            owner       : this.#selection.owner,
+            droptarget  : this.#selection.droptarget,
+            nodesort    : this.#selection.nodesort,
+            effect      : this.#selection.effect,
+            position    : this.#selection.position,
+            modality    : this.#modality
+        };
+
+        //if we don't have a beforedrop hook then just resolve the drop as proposed
+        if(!this.#beforedrop) {
+            return this.#resolveDrop(proposal, true);
+        }
+
+        //resolve the drop with a result from the hook, or fail it if that throws
+        const resolve = (result) => {
+            try {
+                return this.#resolveDrop(proposal, result);
+            }
+            catch(error) {
+                return this.#failDrop(proposal, error, rethrow);
+            }
+        };
+
+        //otherwise call the hook with a copy of the proposal, or fail the drop if that throws
+        let result;
+        try {
+            result = this.#beforedrop.call(this, { ...proposal, dragitems : [ ...proposal.dragitems ] });
+        }
+        catch(error) {
+            return this.#failDrop(proposal, error, rethrow);
+        }
+
+        //if it returns a promise then resolve the drop when it's settled
+        //or fail the drop if the promise rejects
+        if(result && typeof(result.then) == 'function') {
+            return this.#pending = Promise.resolve(result).then(
+                (result) => resolve(result),
+                (error) => this.#failDrop(proposal, error, rethrow)
+            ).finally(() => {
+                this.#pending = null;
+            });
+        }
+
+        //otherwise resolve the drop with the returned value
+        return resolve(result);
+    };
+
+
+    //fail a proposed drop because of an error from the beforedrop hook
+    //by refusing the drop, then throwing the error if rethrow is true
+    //or otherwise reporting it as an uncaught error without interrupting the caller
+    //nb. the refusal goes through resolveDrop, so it's ignored if the selection has changed
+    #failDrop(proposal, error, rethrow) {
+        this.#resolveDrop(proposal, false);
+        if(rethrow) {
+            throw(error);
+        }
+        if(typeof(window.reportError) == 'function') {
+            window.reportError(error);
+        }
+        else {
+            window.console.error(error);
+        }
+        return false;
+    };
+
+
+    //resolve a proposed drop with the result from the beforedrop hook
+    //which refuses, rewrites, or allows the drop as proposed
+    #resolveDrop(proposal, result) {
+
+        //if the selection has changed since the drop was proposed, then ignore it
+        //nb. this can only happen if a beforedrop promise was pending
+        //eg. if the user pressed Escape or made a new selection in the meantime
+        //or if the proposed droptarget has been removed from the instance in the meantime
+        if(this.#selection.owner !== proposal.owner || !proposal.dragitems.every((dragitem) => this.#selection.dragitems.includes(dragitem)) || !this.#hasDroptarget(proposal.droptarget)) {
+            proposal.droptarget.classList.remove('dragover');
+            return false;
+        }
+
+        //restore the input modality, drop effect and position of the proposal
+        //in case any of them changed in the meantime
+        this.#modality = proposal.modality;
+        this.#selection.effect = proposal.effect;
+        this.#setPosition(proposal.position);
+
+        //if the result is false or a string then refuse the drop
+        if(result === false || typeof(result) == 'string') {
+            return this.#refuseDrop(proposal.droptarget, result || this.language['refused-notes']);
+        }
+
+        //if the result is a dictionary, then apply any changes it specifies
+        //nb. items that it excludes are only unselected once the drop is accepted
+        let droptarget = proposal.droptarget;
+        let excluded = [];
+        if(result && typeof(result) == 'object') {
+
+            //if it specifies a different droptarget, check that it belongs to this instance
+            //or throw an exception, then remove the dragover class from the proposed one
+            if(result.droptarget && result.droptarget !== droptarget) {
+                if(!this.#hasDroptarget(result.droptarget)) {
+                    throw(this.constructor.#exception('The beforeDrop droptarget is not a droptarget in this instance.', 'ReferenceError'));
+                }
+                droptarget.classList.remove('dragover');
+
+                //re-resolve the drop effect for the new droptarget
+                //preserving whether the proposed effect was toggled by modifier
+                const toggle = (proposal.effect != this.#getEffect(droptarget));
+                droptarget = result.droptarget;
+                this.#selection.effect = this.#getEffect(droptarget, toggle);
+
+                //and reset the position, which refers to items in the proposed droptarget
+                this.#setPosition(null);
+            }
+
+            //if it specifies a drop effect, check that it's valid or throw an exception
+            //nb. same-container sorts are always moves, so the effect is ignored for those
+            if(result.effect) {
+                if(!(result.effect == 'move' || result.effect == 'copy')) {
+                    throw(this.constructor.#exception('The beforeDrop effect must be "move" or "copy".', 'TypeError'));
+                }
+                if(droptarget !== proposal.owner) {
+                    this.#selection.effect = result.effect;
+                }
+            }
+
+            //if it specifies dragitems, then filter them to the ones that were proposed
+            //and refuse the drop if that leaves none, otherwise save the excluded items
+            if(result.dragitems) {
+                const dragitems = Array.from(result.dragitems).filter((dragitem) => proposal.dragitems.includes(dragitem));
+                if(!dragitems.length) {
+                    return this.#refuseDrop(droptarget, this.language['refused-notes']);
+                }
+                excluded = proposal.dragitems.filter((dragitem) => !dragitems.includes(dragitem));
+            }
+        }
+
+        //refuse the drop if the resolved droptarget won't take the resolved items
+        //nb. this is checked again because the hook might have redirected the drop
+        //or narrowed the items, in which case the selection is left as it was
+        const refusal = this.#getRefusal(droptarget, this.#selection.dragitems.filter((dragitem) => !excluded.includes(dragitem)));
+        if(refusal) {
+            return this.#refuseDrop(droptarget, this.#describeCapacity(droptarget, refusal));
+        }
+
+        //now that the drop is accepted, unselect any items the hook excluded
+        //nb. the remaining selection keeps its selection order, for nodesort false
+        excluded.forEach((dragitem) => {
+            this.#removeSelection(dragitem);
+        });
+
+        //if the droptarget doesn't have room for all the items, trim the selection to fit
+        //nb. getRefusal will already have refused it unless data-drag-overflow is "trim"
+        //nb. the items that are kept are the first ones in drop order, which is
+        //owner traversal order by default, or selection order if nodesort is false
+        const room = this.#getRoom(droptarget);
+        if(droptarget !== proposal.owner && room < this.#selection.dragitems.length) {
+
+            let dragitems = [ ...this.#selection.dragitems ];
+            if(this.#selection.nodesort) {
+                dragitems = this.#collection[proposal.owner.id].dragitems.filter((dragitem) => dragitems.includes(dragitem));
+            }
+            dragitems.slice(room).forEach((dragitem) => {
+                this.#removeSelection(dragitem);
+            });
+
+            //save the number of trimmed items for the dropped items description
+            this.#selection.overflow = dragitems.length - room;
+        }
+
+        //set the selection droptarget then drop the items into it
+        this.#selection.droptarget = droptarget;
+        return this.#applyDrop();
+    };
+
+
+    //refuse a drop and announce the reason through the droptarget description
+    //nb. the selection remains, so the user can choose a different droptarget
+    #refuseDrop(droptarget, reason) {
+
+        //reset the droptarget reference, drop effect, position and dragover class
+        droptarget.classList.remove('dragover');
+        this.#selection.droptarget = null;
+        this.#selection.effect = null;
+        this.#setPosition(null);
+
+        //restore the accessible descriptions for the owner dragitems
+        //since the caller will have removed them in anticipation of a drop
+        this.#describeDragitems(this.#selection.owner, this.#selection.dragitems.length);
+
+        //focus the droptarget so the reason is announced with it
+        //nb. it will already have focus for keyboard and pointer drops
+        //but it won't for native drag drops, or for async hooks
+        //if focus has since moved somewhere else in the meantime
+        droptarget.focus();
+        this.#announceDroptarget(droptarget, reason, 'assertive');
+
+        //return false for no drop
+        return false;
+    };
+
+
+    //move selected items to droptarget
+    //nb. the droptarget has already been resolved by this point
+    #applyDrop() {
+
+        //if we have a droptarget reference
+        if(this.#selection.droptarget) {
+
+            //dispatch a cancelable beforedrop event before anything is moved
+            //and if that was cancelled, reset the droptarget reference and dragover class
+            //then restore the owner dragitems description, since the selection remains
+            //and return false for no drop, in the same way as if there was no droptarget
+            if(!this.#dispatch('beforedrop', true)) {
+                this.#selection.droptarget.classList.remove('dragover');
+                this.#selection.droptarget = null;
+                this.#selection.effect = null;
+                this.#setPosition(null);
+                this.#describeDragitems(this.#selection.owner, this.#selection.dragitems.length);
+                return false;
+            }
+
+            //whether this drop copies the items rather than moving them
+            const copy = (this.#selection.effect == 'copy');
+
+            //save a reference to the owner's dragitems before anything is moved
+            //nb. we need this to record each item's original index for the history
+            const origin = [ ...this.#collection[this.#selection.owner.id].dragitems ];
+
+            //remove selection attributes before moving the items
+            //in case the droptarget container uses a different one
+            this.#selection.dragitems.forEach((dragitem) => {
+                dragitem.removeAttribute(this.#selection.owner.getAttribute('data-drag-state'));
+            });
+
+            //get the reference dragitem to insert the items before, or null to append them
+            //nb. if the position refers to a selected item (in a same-container sort)
+            //then the reference is the next unselected item, since that one won't move
+            const collection = this.#collection[this.#selection.droptarget.id];
+            let reference = null;
+            if(this.#selection.position && collection.dragitems.includes(this.#selection.position.dragitem)) {
+                let index = collection.dragitems.indexOf(this.#selection.position.dragitem);
+                if(this.#selection.position.side == 'after') {
+                    index ++;
+                }
+                while(collection.dragitems[index] && this.#selection.dragitems.includes(collection.dragitems[index])) {
+                    index ++;
+                }
+                reference = collection.dragitems[index] || null;
+            }
+            const insert = (node) => {
+                if(reference) {
+                    return reference.before(node);
+                }
+                collection.parent.appendChild(node);
+            };
+
+            //move the selected items to the droptarget's insertion position
+            //or insert clones of them if this is a copy drop
+            //while creating a new array of those nodes in insertion order
+            let appendages = [];
+
+            //if the sorting flag is set to traversal order
+            //then insert each selected item as we find it in the owner dragitems array
+            //nb. this is easier than abstracting a method to sort node arrays by index comparison
+            //since the code would be basically this anyway, so might as well just insert as we find
+            if(this.#selection.nodesort) {
+                this.#collection[this.#selection.owner.id].dragitems.forEach((item) => {
+                    let nodeitem = this.#selection.dragitems.find((dragitem) => dragitem === item);
+                    if(nodeitem) {
+                        nodeitem = copy ? this.#getClone(nodeitem) : nodeitem;
+                        insert(nodeitem);
+                        appendages.push(nodeitem);
+                    }
+                });
+            }
+
+            //otherwise (if the flag is set to selection order)
+            //then insert them in the order they already have in the selection array
+            //nb. the selection dragitems array is always in the order they were selected
+            else {
+                this.#selection.dragitems.forEach((item) => {
+                    item = copy ? this.#getClone(item) : item;
+                    insert(item);
+                    appendages.push(item);
+                });
+            }
+
+            //if prefers-reduced-motion isn't specified then animate the insertions
+            //but don't include the first (or only) one because that might be confusing
+            //nb. the purpose here is to provide an additional UI hint about what was moved
+            //and it's not needed for a single item because that gets activedescedant
+            //so it would just be a pointless delay, which might be disconcerting or annoying
+            //nb. this hooks into whatever hiding method is specified in .insertion
+            //which musn't be anything that removes it from the accessibility tree
+            //eg. it can't be display or visibility, but it can be opacity or transform
+            //nb. timing collisions won't matter because everything will still appear
+            //eg. if you move a set of dragitems while the previous set is still animating
+            //there can't be reference collisions either cos each is a separate instance
+            //it also doesn't matter if the user selects dragitems that aren't yet visible
+            //since there's no functional or programmatic difference in the nodes themselves
+            //and for screen reader output, none of this will be perceivable at all
+            //all the same, the animation should be very short, so it's visible but doesn't
+            //introduce any significant delay before the appearance of being ready for
+            //new interactions, since that period would probably seem to users like it's not
+            //nb. the animation is also turned off if the animationStep option is 0
+            const insertions = [ ...appendages ];
+            if(this.#options.animationStep && window.matchMedia('(prefers-reduced-motion: no-preference)').matches) {
+                appendages.shift();
+                if(appendages.length) {
+                    appendages.forEach((item) => {
+                        item.classList.add('insertion');
+                    });
+                    const animator = window.setInterval(() => {
+                        if(appendages.length) {
+                            return appendages.shift().classList.remove('insertion');
+                        }
+                        window.clearInterval(animator);
+                        this.#timers.delete(animator);
+                    }, this.#options.animationStep);
+                    this.#timers.add(animator);
+                }
+            }
+
+            //rebuild and re-initialize the collection for the owner and droptarget
+            //setting activedescendant in the droptarget to the last inserted dragitem
+            //which seems more intuitive since that was (the) one you just moved
+            [ this.#selection.owner, this.#selection.droptarget ].forEach((droptarget) => {
+
+                let setdescendant = null;
+                if(this.#selection.droptarget === this.#selection.owner || droptarget !== this.#selection.owner) {
+                    setdescendant = insertions[insertions.length - 1];
+                }
+
+                this.#refreshDroptarget(droptarget, setdescendant);
+            });
+
+            //record this drop in the undo history, and clear the redo history
+            //nb. the destination indexes are taken from the rebuilt collection
+            //so this has to happen after the droptargets have been refreshed
+            const entry = {
+                owner       : this.#selection.owner,
+                droptarget  : this.#selection.droptarget,
+                effect      : this.#selection.effect,
+                moves       : insertions.map((dragitem) => ({
+                    dragitem    : dragitem,
+                    from        : copy ? null : {
+                        droptarget  : this.#selection.owner,
+                        index       : origin.indexOf(dragitem)
+                    },
+                    to          : {
+                        droptarget  : this.#selection.droptarget,
+                        index       : this.#collection[this.#selection.droptarget.id].dragitems.indexOf(dragitem)
+                    }
+                }))
+            };
+            this.#pushHistory(entry);
+
+            //if this was a drop into the trash, record where the items came from
+            this.#recordTrash(entry);
+
+            //clear drag-valid from droptargets and reset all selections
+            //nb. pass the droptarget reference to clear selections so that
+            //the selection state reset happens there, not in the owner,
+            //in case this and the owner used different attributes
+            //otherwise the dragitems would end up with both of them
+            //nb. but if this was a copy then the selected items are still in the owner
+            this.#clearDragValid();
+            this.#clearSelections(copy ? this.#selection.owner : this.#selection.droptarget);
+
+            //focus the droptarget and auto-scroll the activedescendant
+            this.#selection.droptarget.focus();
+            this.#activeScroll(this.#selection.droptarget);
+
+            //dispatch any instance callbacks
+            this.#dispatchCallbacks();
+
+            //dispatch a drop event with the dropped items, now that the drop has happened
+            //nb. the selection has been cleared by this point, so the detail comes from the entry
+            //and the dragitems are the ones that were inserted, which are the clones for a copy
+            this.#dispatch('drop', false, {
+                dragitems   : [ ...insertions ],
+                owner       : entry.owner,
+                droptarget  : entry.droptarget,
+                effect      : entry.effect
+            });
+
+            //then reset the droptarget reference and position
+            this.#selection.droptarget = null;
+            this.#setPosition(null);
+
+            //then return true to indicate that drop occured
+            //nb. this can be used as a caller success condition
+            return true;
+
+        }
+
+        //otherwise return false for no drop
+        return false;
+    };
+
+
+    //undo or redo a drop from the history, according to the specified action
+    //then return true if that happened, or false if there was nothing to do
+    //nb. undoing restores the items to their exact original positions
+    //(or removes them again if they were copies), and redoing puts them back
+    //nb. any current selection is cleared first, since the items it refers to
+    //might be moved, and it's not meaningful to carry it through the change anyway
+    #doHistoryThing(action) {
+
+        //nothing to do if there's no history for this action
+        //or if a drop is pending, since that will create a new entry when it settles
+        if(!this.#history[action].length || this.#pending) {
+            return false;
+        }
+
+        //clear drag-valid from droptargets and reset all selections
+        this.#clearDragValid();
+        this.#clearSelections();
+
+        //move the entry from this stack to the opposite one
+        const entry = this.#history[action].pop();
+        this.#history[action == 'undo' ? 'redo' : 'undo'].push(entry);
+
+        //identify the destination droptarget for this action and the recorded positions
+        //nb. undoing a copy focuses the owner, even though that has no changes
+        //because that's where the user was when they copied the items
+        const destination = (action == 'undo') ? entry.owner : entry.droptarget;
+        const side = (action == 'undo') ? 'from' : 'to';
+
+        //stop the observer while we move the items, so it doesn't respond to that
+        //nb. this also discards any pending mutation records, but there won't be any
+        //because the observer is always stopped while anything else is selected
+        this.#observer.disconnect();
+
+        //remove all the items from wherever they are now, also removing the
+        //selection state attribute of that droptarget, in case the other one uses different
+        //nb. all of them are removed first, so that the remaining items have the
+        //same indexes that they had when the positions were recorded
+        entry.moves.forEach((move) => {
+            const droptarget = this.#getClosest(move.dragitem);
+            if(droptarget) {
+                move.dragitem.removeAttribute(droptarget.getAttribute('data-drag-state'));
+            }
+            move.dragitem.remove();
+        });
+
+        //then insert them in ascending order of their recorded indexes
+        //so that every preceding item is already where it should be by the time
+        //each one is inserted, which means its index will be exactly as recorded
+        entry.moves.filter((move) => move[side]).sort((a, b) => {
+            return a[side].index - b[side].index;
+
+        }).forEach((move) => {
+            const { droptarget, index } = move[side];
+            const dragitems = this.#getDragitems(droptarget);
+            if(dragitems[index]) {
+                dragitems[index].before(move.dragitem);
+            }
+            else {
+                this.#collection[droptarget.id].parent.appendChild(move.dragitem);
+            }
+        });
+
+        //rebuild and re-initialize the collection for the owner and droptarget
+        //setting activedescendant in the destination to the last restored dragitem
+        //or otherwise to whatever it already is, if it's still there
+        const restored = entry.moves.filter((move) => move[side]).map((move) => move.dragitem);
+        [ ...new Set([ entry.owner, entry.droptarget ]) ].forEach((droptarget) => {
+
+            let setdescendant = droptarget.querySelector('#' + droptarget.getAttribute('aria-activedescendant'));
+            if(droptarget === destination && restored.length) {
+                setdescendant = restored.pop();
+            }
+
+            this.#refreshDroptarget(droptarget, setdescendant);
+            this.#describeDroptarget(droptarget, 'selection-notes');
+        });
+
+        //restart the observer on the scope element
+        this.#observer.observe(this.#scope, {
+            childList   : true,
+            subtree     : true
+        });
+
+        //if this is redoing a drop into the trash, record where the items came from
+        if(action == 'redo') {
+            this.#recordTrash(entry);
+        }
+
+        //compile the description for this action
+        //nb. redoing uses the same descriptions as the original drop
+        //where the position is that of the first item in the droptarget
+        //nb. undoing says where the items were restored to, and where from
+        const names = entry.moves.map((move) => move.dragitem);
+        let key = (entry.effect == 'copy') ? 'copied-items' : 'dropped-items';
+        if(this.#isTrash(entry.droptarget)) {
+            key = 'trashed-items';
+        }
+        let description = this.#getDescription(key, entry.moves.length, this.#getTokenValues({
+            target      : entry.droptarget,
+            source      : entry.owner,
+            names       : names,
+            position    : Math.min(...entry.moves.map((move) => move.to.index)) + 1,
+            total       : this.#collection[entry.droptarget.id].dragitems.length
+        }));
+        if(action == 'undo') {
+            description = this.#getDescription('restored-items', entry.moves.length, this.#getTokenValues({
+                target      : entry.owner,
+                source      : entry.droptarget,
+                names       : names
+            }));
+        }
+
+        //focus the destination droptarget and auto-scroll the activedescendant
+        this.#selection.droptarget = null;
+        destination.focus();
+        this.#activeScroll(destination);
+
+        //announce the description through the destination description
+        this.#announceAction(destination, description);
+
+        //dispatch any instance callbacks
+        this.#dispatchCallbacks();
+
+        //dispatch an undo or redo event with the affected items
+        this.#dispatch(action, false, {
+            dragitems   : entry.moves.map((move) => move.dragitem),
+            owner       : entry.owner,
+            droptarget  : entry.droptarget,
+            effect      : entry.effect
+        });
+
+        return true;
+    };
+
+
+    //record where items came from when a history entry moved them into the trash
+    //so they can be restored there, see restore, then update the trash buttons
+    //nb. this happens after the trash is refreshed, which won't have known about them
+    //nb. items that are moved from one trash to another keep their original record
+    #recordTrash(entry) {
+        if(this.#isTrash(entry.droptarget) && !this.#isTrash(entry.owner)) {
+            const drop = ++ this.#trashdrops;
+            entry.moves.filter((move) => move.from).forEach((move) => {
+                this.#trashed.set(move.dragitem, { ...move.from, drop });
+            });
+            this.#updateTrash(entry.droptarget);
+        }
+    };
+
+
+    //permanently remove all the dragitems from a trash droptarget
+    //then return an array of the removed dragitems, or an empty array
+    //if there weren't any, or the beforeempty event was cancelled
+    #doEmptyThing(droptarget) {
+
+        const dragitems = [ ...this.#collection[droptarget.id].dragitems ];
+        if(!dragitems.length) {
+            return [];
+        }
+
+        //dispatch a cancelable beforeempty event before anything is removed
+        if(!this.#dispatch('beforeempty', true, { dragitems : dragitems, owner : null, droptarget : droptarget })) {
+            return [];
+        }
+
+        //clear drag-valid from droptargets and reset all selections
+        //if the selection is in this trash, since those items are about to be removed
+        if(this.#selection.owner === droptarget) {
+            this.#clearDragValid();
+            this.#selection.owner.classList.remove('dragout');
+            this.#clearSelections();
+        }
+
+        //stop the observer while we remove the items, so it doesn't respond to that
+        //nb. but it's already stopped if there's a selection somewhere else
+        //so in that case it needs to stay stopped
+        const observing = !this.#selection.dragitems.length;
+        this.#observer.disconnect();
+
+        dragitems.forEach((dragitem) => {
+            dragitem.remove();
+            this.#trashed.delete(dragitem);
+        });
+        this.#refreshDroptarget(droptarget);
+        this.#describeNotes(droptarget);
+
+        if(observing) {
+            this.#observer.observe(this.#scope, {
+                childList   : true,
+                subtree     : true
+            });
+        }
+
+        //clear the drop history, since it might refer to the removed items
+        this.#history = {
+            undo    : [],
+            redo    : []
+        };
+
+        //if the focus was on the empty button, move it to the trash
+        //nb. since the button is now disabled and removed from the tab order
+        const empty = this.#collection[droptarget.id].empty;
+        if(empty && empty.contains(document.activeElement)) {
+            droptarget.focus();
+        }
+
+        //announce the number of deleted items through the trash description
+        this.#announceAction(droptarget, this.#getDescription('emptied-items', dragitems.length, this.#getTokenValues({
+            target      : droptarget
+        })));
+
+        //dispatch any instance callbacks
+        this.#dispatchCallbacks();
+
+        //dispatch an empty event with the removed items
+        this.#dispatch('empty', false, {
+            dragitems   : dragitems,
+            owner       : null,
+            droptarget  : droptarget
+        });
+
+        return dragitems;
+    };
+
+
+    //restore trashed dragitems to the droptarget and position they were trashed from
+    //then return an array of the dragitems that were restored, see restore for info
+    //nb. this is used by the public restore method, and by the restore button
+    //and by Delete or Backspace in the trash, see doUntrashThing
+    #doRestoreThing(items) {
+
+        //get the items to restore, or nothing to do if there aren't any
+        const dragitems = items.filter((dragitem) => {
+
+            return this.#isTrash(this.#getClosest(dragitem))
+                && this.#trashed.has(dragitem)
+                && this.#hasDroptarget(this.#trashed.get(dragitem).droptarget);
+        });
+        if(!dragitems.length) {
+            return [];
+        }
+
+        //clear drag-valid from droptargets and reset all selections
+        this.#clearDragValid();
+        this.#clearSelections();
+
+        //stop the observer while we move the items, so it doesn't respond to that
+        this.#observer.disconnect();
+
+        //remove all the items from the trash, also removing its selection state attribute
+        //then insert them in reverse order of the drops that trashed them, and within
+        //each drop, in ascending order of their recorded indexes, which reverses
+        //the sequence of drops that removed them, see doHistoryThing for more info
+        const changed = new Set();
+        const sources = new Map();
+        dragitems.forEach((dragitem) => {
+            const trash = this.#getClosest(dragitem);
+            dragitem.removeAttribute(trash.getAttribute('data-drag-state'));
+            dragitem.remove();
+            changed.add(trash);
+            sources.set(dragitem, trash);
+        });
+        dragitems.map((dragitem) => ({ dragitem, ...this.#trashed.get(dragitem) })).sort((a, b) => {
+            return (b.drop - a.drop) || (a.index - b.index);
+
+        }).forEach(({ dragitem, droptarget, index }) => {
+            const items = this.#getDragitems(droptarget);
+            if(items[index]) {
+                items[index].before(dragitem);
+            }
+            else {
+                this.#collection[droptarget.id].parent.appendChild(dragitem);
+            }
+            this.#trashed.delete(dragitem);
+        });
+
+        //rebuild and re-initialize the collection for each trash and destination
+        //setting activedescendant in each destination to the last restored dragitem there
+        //or otherwise to whatever it already is, if it's still there
+        const destinations = new Map();
+        dragitems.forEach((dragitem) => {
+            const droptarget = this.#getClosest(dragitem);
+            destinations.set(droptarget, [ ...(destinations.get(droptarget) || []), dragitem ]);
+            changed.add(droptarget);
+        });
+        changed.forEach((droptarget) => {
+
+            let setdescendant = droptarget.querySelector('#' + droptarget.getAttribute('aria-activedescendant'));
+            if(destinations.has(droptarget)) {
+                setdescendant = destinations.get(droptarget).at(-1);
+            }
+
+            this.#refreshDroptarget(droptarget, setdescendant);
+            this.#describeDroptarget(droptarget, 'selection-notes');
+        });
+
+        //restart the observer on the scope element
+        this.#observer.observe(this.#scope, {
+            childList   : true,
+            subtree     : true
+        });
+
+        //clear the drop history, since its recorded positions are no longer reliable
+        this.#history = {
+            undo    : [],
+            redo    : []
+        };
+
+        //announce the restored items through each destination's description
+        //and focus the last one, since that's where the description will be announced
+        //nb. the source is the trash that the first of them came from
+        destinations.forEach((restored, droptarget) => {
+            this.#announceAction(droptarget, this.#getDescription('restored-items', restored.length, this.#getTokenValues({
+                target      : droptarget,
+                source      : sources.get(restored[0]),
+                names       : restored
+            })));
+        });
+        [ ...destinations.keys() ].at(-1).focus();
+
+        //dispatch any instance callbacks
+        this.#dispatchCallbacks();
+
+        //dispatch a restore event with the restored items
+        this.#dispatch('restore', false, {
+            dragitems   : dragitems,
+            owner       : null,
+            droptarget  : null,
+            modality    : this.#modality
+        });
+
+        return dragitems;
+    };
+
+
+    //move items to the trash in response to Delete or Backspace
+    //where the moved items are the selection (if it's in this droptarget) or the activedescendant
+    //then return the result of the drop, as returned by doDropThing, or false if there was nothing to do
+    //nb. the trash is the first trash droptarget in this instance, see isTrash
+    //nb. this goes through the same validation and beforedrop hook as any other drop
+    //but focus stays in this droptarget, moving to the next item after the moved ones
+    //or the previous one if there isn't a next, and the result is announced here
+    //because the trash description won't be heard when it doesn't have focus
+    //nb. if the drop is refused then the selection remains, like any other drop
+    #doTrashThing(droptarget) {
+
+        //get the trash, or nothing to do if there isn't one, or this is it
+        const trash = Object.values(this.#collection).map((collection) => collection.droptarget).find((droptarget) => {
+            return this.#isTrash(droptarget);
+        });
+        if(!trash || trash === droptarget) {
+            return false;
+        }
+
+        //nothing to do if the selection is in a different droptarget
+        //nb. items in a different droptarget from the selection aren't movable
+        //in the same way that they're not selectable
+        if(this.#selection.owner && this.#selection.owner !== droptarget) {
+            return false;
+        }
+
+        //if there's no selection then select the activedescendant
+        //or nothing to do if there isn't one, or it didn't get selected
+        //eg. because it's disabled
+        const activedescendant = droptarget.querySelector('#' + droptarget.getAttribute('aria-activedescendant'));
+        if(!this.#selection.owner) {
+            if(!activedescendant) {
+                return false;
+            }
+            this.#undescribeDragitems(activedescendant);
+            this.#doSelectionThing(droptarget, activedescendant, 0);
+            this.#describeDragitems(droptarget, this.#selection.dragitems.length);
+            if(!this.#selection.dragitems.length) {
+                return false;
+            }
+        }
+
+        //get the item that will have activedescendant after the drop
+        //which is the next one after the activedescendant that isn't moving
+        //or the previous one if there isn't one, or null if they're all moving
+        const dragitems = this.#collection[droptarget.id].dragitems;
+        const remaining = dragitems.filter((dragitem) => !this.#selection.dragitems.includes(dragitem));
+        const index = dragitems.indexOf(activedescendant);
+        const next = remaining.find((dragitem) => dragitems.indexOf(dragitem) > index)
+            || remaining.findLast((dragitem) => dragitems.indexOf(dragitem) < index)
+            || null;
+
+        //remove accessible descriptions from the owner dragitems collection
+        //then set the selection droptarget to the trash, and drop the items at the end
+        //nb. clear the trash description first, so we can tell if the drop announced anything
+        //since a refusal might be the same as the refusal notes it already has
+        //nb. using zero-width space because the element can't be empty
+        const announcer = this.#describedby[trash.id].droptarget;
+        announcer.textContent = '\u200b';
+        this.#describeDragitems(this.#selection.owner);
+        this.#selection.droptarget = trash;
+        this.#selection.effect = this.#getEffect(trash);
+        this.#setPosition(null);
+
+        //once the drop has happened (or not) then return focus to this droptarget
+        //and announce the trash description here, if the drop (or refusal) announced one
+        //then reset the trash to its default notes, in case it didn't have focus to lose
+        //nb. read the description before focusing, since the trash resets it on blur
+        //nb. this isn't needed for live announcements, which are already queued
+        const restore = (dropped) => {
+            const announcement = announcer.textContent;
+            droptarget.focus();
+            this.#describeNotes(trash);
+            if(dropped) {
+                this.#activeUpdate(droptarget, next);
+                this.#activeScroll(droptarget);
+            }
+            if(this.#announcement != 'live' && announcement != '\u200b') {
+                this.#announceAction(droptarget, announcement);
+            }
+            return dropped;
+        };
+
+        //nb. if the beforedrop hook returned a promise then this has to wait for it
+        //but it never rejects, since doDropThing reports any errors from the hook
+        const result = this.#doDropThing();
+        if(result && typeof(result.then) == 'function') {
+            return result.then(restore);
+        }
+        return restore(result);
+    };
+
+
+    //restore items from the trash in response to Delete or Backspace
+    //where the restored items are the selection (if it's in this droptarget) or the activedescendant
+    //then return an array of the dragitems that were restored, as returned by doRestoreThing
+    //nb. focus moves to the droptarget they were restored to, see restore
+    #doUntrashThing(droptarget) {
+
+        //get the items to restore, or nothing to do if there aren't any
+        //nb. items in a different droptarget from the selection aren't restorable
+        //in the same way that they're not selectable
+        const activedescendant = droptarget.querySelector('#' + droptarget.getAttribute('aria-activedescendant'));
+        let dragitems = [];
+        if(this.#selection.owner === droptarget) {
+            dragitems = [ ...this.#selection.dragitems ];
+        }
+        else if(!this.#selection.owner && activedescendant) {
+            dragitems = [ activedescendant ];
+        }
+
+        return this.#doRestoreThing(dragitems);
+    };
+
+
+    //move items to a new index within their droptarget in response to a reorder key
+    //where the moved items are the selection (if it's in this droptarget) or the activedescendant
+    //then return true if that happened, or false if there was nothing to move
+    //nb. the moved items are gathered together at the new index, in their current order
+    //where the index is relative to the items that aren't moving, so that
+    //moving up or down means one place past the nearest unmoved item
+    #doReorderThing(droptarget, keyname) {
+
+        //get the items to move, or nothing to do if there aren't any
+        //nb. items in a different droptarget from the selection aren't movable
+        //in the same way that they're not selectable
+        const dragitems = this.#collection[droptarget.id].dragitems;
+        const activedescendant = droptarget.querySelector('#' + droptarget.getAttribute('aria-activedescendant'));
+        let moving = [];
+        if(this.#selection.owner === droptarget) {
+            moving = dragitems.filter((dragitem) => this.#selection.dragitems.includes(dragitem));
+        }
+        else if(!this.#selection.owner && activedescendant) {
+            moving = [ activedescendant ];
+        }
+        if(!moving.length) {
+            return false;
+        }
+
+        //get the new index in the array of items that aren't moving
+        //nb. the moving items might not be contiguous, eg. a non-adjacent selection
+        //so moving up is relative to the number of unmoved items before the first one
+        //and moving down is relative to the number of unmoved items before the last one
+        const unmoved = dragitems.filter((dragitem) => !moving.includes(dragitem));
+        const first = unmoved.filter((dragitem) => dragitems.indexOf(dragitem) < dragitems.indexOf(moving[0])).length;
+        const last = unmoved.filter((dragitem) => dragitems.indexOf(dragitem) < dragitems.indexOf(moving[moving.length - 1])).length;
+        let index = first;
+        switch(true) {
+
+            case (keyname == 'arrowup' || keyname == 'arrowleft') :
+                index = Math.max(0, first - 1);
+                break;
+
+            case (keyname == 'arrowdown' || keyname == 'arrowright') :
+                index = Math.min(unmoved.length, last + 1);
+                break;
+
+            case (keyname == 'home') :
+                index = 0;
+                break;
+
+            case (keyname == 'end') :
+                index = unmoved.length;
+                break;
+        }
+
+        //nothing to do if the items are already contiguous at that index
+        const reordered = [ ...unmoved ];
+        reordered.splice(index, 0, ...moving);
+        if(reordered.every((dragitem, n) => dragitem === dragitems[n])) {
+            return false;
+        }
+
+        //dispatch a cancelable reorder event before anything is moved
+        //and return false for no move if that was cancelled
+        if(!this.#dispatch('reorder', true, {
+            dragitems   : [ ...moving ],
+            droptarget  : droptarget,
+            index       : index
+        })) {
+            return false;
+        }
+
+        //stop the observer while we move the items, if it's running
+        //nb. it's not running if there's a selection
+        this.#observer.disconnect();
+
+        //insert the items before the unmoved item at that index, or after the last one
+        //nb. don't use the insertion parent, because the last unmoved item
+        //might not be the last child, eg. if there's other content after it
+        //nb. there must be at least one unmoved item, or the order couldn't have changed
+        if(unmoved[index]) {
+            unmoved[index].before(...moving);
+        }
+        else {
+            unmoved[unmoved.length - 1].after(...moving);
+        }
+
+        //update the collection and aria-owns to the new order
+        //nb. we can't refresh the droptarget, because that would reset the selection states
+        this.#collection[droptarget.id].dragitems = this.#getDragitems(droptarget);
+        droptarget.setAttribute('aria-owns', this.#collection[droptarget.id].dragitems.map((dragitem) => dragitem.id).join(' '));
+        this.#updateInputs(droptarget);
+
+        //restart the observer on the scope element, unless there's a selection
+        if(!this.#selection.dragitems.length) {
+            this.#observer.observe(this.#scope, {
+                childList   : true,
+                subtree     : true
+            });
+        }
+
+        //update selection numbers, since their traversal order has changed
+        if(droptarget.getAttribute('data-drag-sorted') == 'true' && this.#selection.dragitems.length) {
+            this.#getSelectionNumbers(droptarget);
+        }
+
+        //record this reorder in the undo history, and clear the redo history
+        const reorderitems = this.#collection[droptarget.id].dragitems;
+        this.#pushHistory({
+            owner       : droptarget,
+            droptarget  : droptarget,
+            effect      : 'move',
+            moves       : moving.map((dragitem) => ({
+                dragitem    : dragitem,
+                from        : { droptarget : droptarget, index : dragitems.indexOf(dragitem) },
+                to          : { droptarget : droptarget, index : reorderitems.indexOf(dragitem) }
+            }))
+        });
+
+        //update activedescendant to follow the moved items
+        //which stays on the current one if that moved, or otherwise the first moved item
+        const setdescendant = moving.includes(activedescendant) ? activedescendant : moving[0];
+        this.#activeUpdate(droptarget, setdescendant);
+        this.#activeScroll(droptarget);
+
+        //announce the new position of the activedescendant
+        this.#announceAction(droptarget, this.#getDescription('moved-position', 0, this.#getTokenValues({
+            target      : droptarget,
+            names       : moving,
+            position    : reorderitems.indexOf(setdescendant) + 1,
+            total       : reorderitems.length
+        })));
+
+        //dispatch any instance callbacks
+        this.#dispatchCallbacks();
+
+        return true;
+    };
+
+
+    //rebuild and re-initialize the collection for a droptarget
+    //setting activedescendant as specified by setdescendant, or default to the first one
+    //nb. don't update the label, parent, or sort button, which are fixed at initialization
+    //but we do need to update multimode in case it couldn't be set at initialisation
+    //eg. if the container was empty and now contains items that have role=radio
+    #refreshDroptarget(droptarget, setdescendant = null) {
+
+        const dragitems = this.#getDroptarget(droptarget, setdescendant);
+        this.#collection[droptarget.id].droptarget = droptarget;
+        this.#collection[droptarget.id].dragitems = dragitems;
+        this.#collection[droptarget.id].multimode = this.#getDefaultMultimode(droptarget, dragitems);
+
+        //update the hidden form inputs for its dragitems
+        //and the deleted state of its dragitems
+        this.#updateInputs(droptarget);
+        this.#updateTrash(droptarget);
+
+        return dragitems;
+    };
+
+
+    //update the deleted state of the dragitems in a droptarget
+    //which is applied to items in a trash droptarget, and removed from any others
+    //along with the trash record of where they came from, since they're not in there anymore
+    //then update the enabled state of the empty and restore buttons, if this is a trash with them
+    //nb. the buttons are in the tab order when they're enabled, and the restore button
+    //is only enabled if there are items with a record of where they came from
+    #updateTrash(droptarget) {
+
+        const collection = this.#collection[droptarget.id];
+        const trash = this.#isTrash(droptarget);
+
+        collection.dragitems.forEach((dragitem) => {
+            if(trash) {
+                dragitem.setAttribute('data-drag-deleted', 'true');
+            }
+            else {
+                dragitem.removeAttribute('data-drag-deleted');
+                this.#trashed.delete(dragitem);
+            }
+        });
+
+        if(collection.empty) {
+            if(collection.dragitems.length) {
+                collection.empty.removeAttribute('aria-disabled');
+                collection.empty.setAttribute('tabindex', '0');
+            }
+            else {
+                collection.empty.setAttribute('aria-disabled', 'true');
+                collection.empty.removeAttribute('tabindex');
+            }
+        }
+
+        if(collection.restore) {
+            if(collection.dragitems.some((dragitem) => this.#trashed.has(dragitem))) {
+                collection.restore.removeAttribute('aria-disabled');
+                collection.restore.setAttribute('tabindex', '0');
+            }
+            else {
+                collection.restore.setAttribute('aria-disabled', 'true');
+                collection.restore.removeAttribute('tabindex');
+            }
+        }
+    };
+
+
+    //bind a form reset listener to the form that contains a named droptarget
+    //unless it doesn't have a name or a form, or its form already has a listener
+    //nb. this resets the arrangement to its initial state, like any other form control
+    //and removes any clones that were created by copy drops since then
+    //nb. the clones are removed before setState, but with the observer stopped
+    //and setState will then refresh every droptarget, since the initial state has all of them
+    //nb. items that no longer exist, eg. because the trash was emptied, can't be reset
+    //so they're filtered out of the initial state, otherwise setState would throw
+    #bindFormReset(droptarget) {
+
+        const form = droptarget.closest('form');
+        if(!(form && droptarget.hasAttribute('data-drag-name')) || this.#forms.has(form)) {
+            return;
+        }
+        this.#forms.add(form);
+
+        this.#bind(form, 'reset', () => {
 
-                    //if that was the last selection, reset the owner reference
-                    if(!this.#selection.dragitems.length) {
-                        this.#selection.owner = null;
-                    }
+            this.#clearDragValid();
+            this.#clearSelections();
+
+            this.#observer.disconnect();
+            this.#scope.querySelectorAll('[data-drag-act="dragitem"]').forEach((dragitem) => {
+                if(this.#clones.has(dragitem)) {
+                    dragitem.remove();
                 }
+            });
 
-                //otherwise (if the items is not already selected)
-                else {
+            const values = Object.values(this.#collection).flatMap((collection) => {
+                return this.#getDragitems(collection.droptarget).map((dragitem) => this.#getValue(dragitem));
+            });
+            this.setState(Object.fromEntries(Object.entries(this.#initial).map(([ id, items ]) => {
+                return [ id, items.filter((value) => {
+                    const index = values.indexOf(value);
+                    if(index < 0) {
+                        return false;
+                    }
+                    values.splice(index, 1);
+                    return true;
+                }) ];
+            })));
+        });
+    };
 
-                    //add this dragitem to the selection dragitems array
-                    this.#addSelection(dragitem, droptarget);
 
-                    //if we have any selections then apply drag-valid
-                    if(this.#selection.dragitems.length) {
-                        this.#addDragValid();
-                    }
-                }
+    //update the hidden form inputs for a droptarget with data-drag-name
+    //creating one input for each dragitem, in order, with its state value
+    //nb. so a form that contains the droptarget will submit its arrangement
+    //as multiple values of the same name, eg. FormData.getAll(name)
+    //nb. the inputs are inserted after the description elements
+    //so that they're inside the droptarget, and therefore inside the same form
+    //and don't move around when items are added to the droptarget
+    #updateInputs(droptarget) {
 
-            break;
+        droptarget.querySelectorAll('[data-drag-act="input"]').forEach((input) => {
+            input.remove();
+        });
 
-            //exclusive single selection (or unselection)
-            default :
+        const name = droptarget.getAttribute('data-drag-name');
+        if(!name) {
+            return;
+        }
 
-                //is this dragitem the only selection
-                const single = this.#selection.dragitems.length == 1 && this.#selection.dragitems.includes(dragitem);
+        const inputs = this.#getDragitems(droptarget).map((dragitem) => {
+            const input = document.createElement('input');
+            input.setAttribute('type', 'hidden');
+            input.setAttribute('name', name);
+            input.setAttribute('value', this.#getValue(dragitem));
+            input.setAttribute('data-drag-act', 'input');
+            return input;
+        });
 
-                //clear drag-valid and reset all selections
-                this.#clearDragValid();
-                this.#clearSelections();
+        this.#describedby[droptarget.id].dragitems.after(...inputs);
+    };
 
-                //if this dragitem was not the only selection
-                //reselect it then apply drag valid if that was successful
-                //nb. this means that unmodified click will unselect all then select this dragitem,
-                //unless it was the only selection, or disabled, in which case it will just unselect
-                if(!single) {
-                    this.#addSelection(dragitem, droptarget);
-                    if(this.#selection.dragitems.length) {
-                        this.#addDragValid();
-                    }
-                }
 
-            break;
+    //parse language tokens from a dictionary of token values and return the string
+    //nb. this replaces every occurrence of each token in a single pass, so values
+    //that contain token-like text (eg. a label with "{{names}}") aren't parsed again
+    //and uses a replacer function, so "$" patterns in values are left as they are
+    //nb. tokens that aren't in the dictionary are left as they are
+    #parseTokens(str, tokens) {
+        return str.replace(/\{\{([^{}]*)\}\}/g, (match, token) => {
+            return Object.hasOwn(tokens, token) ? String(tokens[token]) : match;
+        });
+    }
+
+
+    //get a parsed description string for a language key and count value
+    //nb. count messages like "selected-items" have a {{count}} token for the number
+    //and an {{items}} token referring to the plural form of the language for item(s)
+    //so we can use the count value to detect whether token parsing is needed
+    //nb. count messages can also have plural forms, eg. for gender agreement
+    //which are selected by the same count value, see getPlural
+    //nb. any other tokens are parsed from a dictionary of token values
+    //eg. { target, names }, which the caller compiles with getTokenValues
+    #getDescription(key, count = 0, tokens = {}) {
+        if(count) {
+            tokens = {
+                ...tokens,
+                count   : count,
+                items   : this.#getPlural(this.language['items'], count)
+            };
         }
+        return this.#parseTokens(this.#getPlural(this.language[key], count), tokens);
     }
 
 
-    //move selected items to droptarget (or not as the case may be)
-    #doDropThing() {
+    //compile a dictionary of optional token values, from a dictionary of references
+    //where target and source are droptargets, and names is an array of dragitems
+    //plus any literal values, like position and total, which are used as they are
+    //nb. names are compiled into a list for the instance language with Intl.ListFormat
+    //or just separated with commas if that isn't supported
+    #getTokenValues(references) {
 
-        //if we have an owner reference, remove its dragout class if present
-        if(this.#selection.owner) {
-            this.#selection.owner.classList.remove('dragout');
+        const values = { ...references };
+
+        ['target','source'].forEach((token) => {
+            if(references[token]) {
+                values[token] = this.#collection[references[token].id].label.textContent.replace(/\s+/g, ' ').trim();
+            }
+        });
+
+        if(references.names) {
+            const names = references.names.map((dragitem) => this.#getName(dragitem));
+            values.names = ('ListFormat' in Intl)
+                ? this.#getFormatter(Intl.ListFormat, { style : 'long', type : 'conjunction' }).format(names)
+                : names.join(', ');
         }
 
-        //if we have a droptarget reference
-        //nb. this also implies that we have owner and selected items
-        if(this.#selection.droptarget) {
+        return values;
+    }
 
-            //remove selection attributes before moving the items
-            //in case the droptarget container uses a different one
-            this.#selection.dragitems.forEach((dragitem) => {
-                dragitem.removeAttribute(this.#selection.owner.getAttribute('data-drag-state'));
-            });
 
-            //move the selected items to the droptarget's insertion parent
-            //while creating a new array of those nodes in insertion order
-            let appendages = [];
+    //create an Intl formatter for the instance language, eg. Intl.PluralRules
+    //nb. the language code might be a custom extension that isn't a valid locale
+    //so this tries each of its subcodes in turn, eg. "en-gb-cockney" then "en-gb" then "en"
+    //before falling back to the platform's default locale
+    //nb. the formatter is cached for the language code, see formatters
+    #getFormatter(formatter, options = {}) {
 
-            //if the sorting flag is set to traversal order
-            //then insert each selected item as we find it in the owner dragitems array
-            //nb. this is easier than abstracting a method to sort node arrays by index comparison
-            //since the code would be basically this anyway, so might as well just insert as we find
-            if(this.#selection.nodesort) {
-                this.#collection[this.#selection.owner.id].dragitems.forEach((item) => {
-                    let nodeitem = this.#selection.dragitems.find((dragitem) => dragitem === item);
-                    if(nodeitem) {
-                        this.#collection[this.#selection.droptarget.id].parent.appendChild(nodeitem);
-                        appendages.push(nodeitem);
-                    }
-                });
-            }
+        const formatters = this.constructor.#formatters;
+        const key = `${formatter.name} ${this.#langcode} ${JSON.stringify(options)}`;
+        if(formatters.has(key)) {
+            return formatters.get(key);
+        }
 
-            //otherwise (if the flag is set to selection order)
-            //then insert them in the order they already have in the selection array
-            //nb. the selection dragitems array is always in the order they were selected
-            else {
-                this.#selection.dragitems.forEach((item) => {
-                    this.#collection[this.#selection.droptarget.id].parent.appendChild(item);
-                    appendages.push(item);
-                });
+        let instance = null;
+        for(let code of this.constructor.#getSubcodes(this.#langcode)) {
+            try {
+                instance = new formatter(code, options);
+                break;
             }
+            catch(ex) {}
+        }
+        formatters.set(key, instance || new formatter(undefined, options));
+        return formatters.get(key);
+    }
 
-            //if prefers-reduced-motion isn't specified then animate the insertions
-            //but don't include the first (or only) one because that might be confusing
-            //nb. the purpose here is to provide an additional UI hint about what was moved
-            //and it's not needed for a single item because that gets activedescedant
-            //so it would just be a pointless delay, which might be disconcerting or annoying
-            //nb. this hooks into whatever hiding method is specified in .insertion
-            //which musn't be anything that removes it from the accessibility tree
-            //eg. it can't be display or visibility, but it can be opacity or transform
-            //nb. timing collisions won't matter because everything will still appear
-            //eg. if you move a set of dragitems while the previous set is still animating
-            //there can't be reference collisions either cos each is a separate instance
-            //it also doesn't matter if the user selects dragitems that aren't yet visible
-            //since there's no functional or programmatic difference in the nodes themselves
-            //and for screen reader output, none of this will be perceivable at all
-            //all the same, the animation should be very short, so it's visible but doesn't
-            //introduce any significant delay before the appearance of being ready for
-            //new interactions, since that period would probably seem to users like it's not
-            if(window.matchMedia('(prefers-reduced-motion: no-preference)').matches) {
-                appendages.shift();
-                if(appendages.length) {
-                    appendages.forEach((item) => {
-                        item.classList.add('insertion');
-                    });
-                    const animator = window.setInterval(() => {
-                        if(appendages.length) {
-                            return appendages.shift().classList.remove('insertion');
-                        }
-                        window.clearInterval(animator);
-                    }, 50);
-                }
-            }
 
-            //rebuild and re-initialize the collection for the owner and droptarget
-            //setting activedescendant in the droptarget to the last selected dragitem
-            //which seems more intuitive since that was (the) one you just moved
-            //nb. don't update the label, parent, or sort button, which are fixed at initialization
-            //but we do need to update multimode in case it couldn't be set at initialisation
-            //eg. if the container was empty and now contains items that have role=radio
-            [ this.#selection.owner, this.#selection.droptarget ].forEach((droptarget) => {
+    //get the plural form of a language value for a count value
+    //which is selected by plural category using Intl.PluralRules for the instance language
+    //or the "other" form if the value doesn't define that category
+    //nb. if the value is a string then it's used for every count value
+    #getPlural(value, count) {
 
-                let setdescendant = null;
-                if(this.#selection.droptarget === this.#selection.owner || droptarget !== this.#selection.owner) {
-                    setdescendant = this.#getDragitems(droptarget).pop();
-                }
+        if(typeof(value) == 'string') {
+            return value;
+        }
+        return value[this.#getFormatter(Intl.PluralRules).select(count)] || value.other;
+    }
 
-                const dragitems = this.#getDroptarget(droptarget, setdescendant);
-                this.#collection[droptarget.id].droptarget = droptarget;
-                this.#collection[droptarget.id].dragitems = dragitems;
-                this.#collection[droptarget.id].multimode = this.#getDefaultMultimode(droptarget, dragitems);
-            });
 
-            //clear drag-valid from droptargets and reset all selections
-            //nb. pass the droptarget reference to clear selections so that
-            //the selection state reset happens there, not in the owner,
-            //in case this and the owner used different attributes
-            //otherwise the dragitems would end up with both of them
-            this.#clearDragValid();
-            this.#clearSelections(this.#selection.droptarget);
+    //get the closest matching language code for this instance
+    //from declared or user language codes by order of precedence
+    //nb. scope lang attributes take precedence over the document language
+    //then the user language is used if neither of those are defined
+    //or if we don't have any matching language for a higher precedent
+    //this allows individual instances to use different languages
+    //or variants of the same language via custom extensions (eg. "en-widget1")
+    //and for whole-page translations to be applied, if available
+    //nb. convert found codes to lower-case because BCP47 is case-insensitive
+    #getLanguage() {
 
-            //focus the droptarget and auto-scroll the activedescendant
-            this.#selection.droptarget.focus();
-            this.#activeScroll(this.#selection.droptarget);
+        let want = [
+            this.#scope.getAttribute('lang'),
+            document.documentElement.getAttribute('lang'),
+            navigator.language
 
-            //dispatch any instance callbacks
-            this.#dispatchCallbacks();
+        ].map(code => (code || '').trim().toLowerCase()).filter(code => code);
 
-            //then reset the droptarget reference
-            this.#selection.droptarget = null;
+        //get an array of all the codes we have language for
+        //nb. stored language codes are already lower-cased
+        let have = Object.keys(this.constructor.#language);
+
+        return this.constructor.#getLanguageMatch(want, have);
+    }
 
-            //then return true to indicate that drop occured
-            //nb. this can be used as a caller success condition
-            return true;
 
+    //re-apply the language for this instance after the scope lang attribute has changed
+    //updating the role descriptions, sort button labels and droptarget descriptions
+    //and the selection description and numbers if there's a selection
+    //nb. the scope lang is then updated to the matching code, like it is on initialization
+    //which triggers the observer again, but then the language hasn't changed
+    #applyLanguage() {
+
+        const langcode = this.#getLanguage();
+        if(this.#scope.getAttribute('lang') != langcode) {
+            this.#scope.setAttribute('lang', langcode);
+        }
+        if(langcode == this.#langcode) {
+            return;
         }
+        this.#langcode = langcode;
 
-        //otherwise return false for no drop
-        return false;
-    };
+        Object.values(this.#collection).forEach((collection) => {
 
+            const droptarget = collection.droptarget;
+            droptarget.setAttribute('aria-roledescription', this.#parseTokens(this.language['role-description'], { role : droptarget.getAttribute('role') }));
+            if(collection.sorted) {
+                collection.sorted.setAttribute('aria-label', this.language['sort-notes']);
+            }
+            if(collection.empty) {
+                collection.empty.setAttribute('aria-label', this.language['empty-trash']);
+            }
+            if(collection.restore) {
+                collection.restore.setAttribute('aria-label', this.language['restore-trash']);
+            }
+            this.#describeNotes(droptarget);
+        });
 
-    //parse a language token with its value and return the string
-    #parseToken(str, token, value) {
-        return str.replace(`\{\{${token}\}\}`, value);
+        const owner = this.#selection.owner;
+        if(owner && this.#selection.dragitems.length) {
+            this.#describeDragitems(owner, this.#selection.dragitems.length);
+            if(owner.getAttribute('data-drag-sorted') == 'true') {
+                this.#getSelectionNumbers(owner);
+            }
+        }
     }
 
 
@@ -1596,11 +4707,10 @@ export default class DragAct {
         }
 
         //get a parsed description string according to the selection count
-        //nb. "selected-items" has a {{count}} token for the number of selected items
-        //and an {{items}} token referring to the single or plural language for item(s)
-        let description = this.language['selected-items'];
-        description = this.#parseToken(description, 'count', count);
-        description = this.#parseToken(description, 'items', this.language[count == 1 ? 'item-single' : 'item-plural']);
+        const description = this.#getDescription('selected-items', count, this.#getTokenValues({
+            source      : droptarget,
+            names       : this.#selection.dragitems
+        }));
 
         //now wait a moment, then update the accessible description element
         //nb. we use same the description for all dragitems in the same container
@@ -1632,20 +4742,261 @@ export default class DragAct {
         //get a parsed description string according to the key and count value
         //nb. "selection-notes" and "drop-notes" don't have any tokens
         //although "selection-notes" is replaced with "empty-notes" if there are no items
-        //whereas "dropped-items" has a {{count}} token for the number of dropped items
-        //and an {{items}} token referring to the single or plural language for item(s)
-        //so we can use the count value to detect whether token parsing is needed
-        let description = this.language[key];
+        //whereas "dropped-items" has tokens that are parsed with the count value
+        let description = this.#getDescription(key, count);
         if(key == 'selection-notes' && !this.#collection[droptarget.id].dragitems.length) {
             description = this.language['empty-notes'];
         }
-        else if(count) {
-            description = this.#parseToken(description, 'count', count);
-            description = this.#parseToken(description, 'items', this.language[count == 1 ? 'item-single' : 'item-plural']);
+
+        //update the accessible description element
+        //including the capacity notes if the droptarget has a maximum
+        this.#describedby[droptarget.id].droptarget.textContent = this.#describeCapacity(droptarget, description);
+    };
+
+
+    //append the capacity notes to a description if the droptarget has a maximum
+    //nb. the description can be a language key or an already-parsed string
+    //nb. "capacity-notes" has a {{count}} token for the number of items
+    //and a {{number}} token for the maximum, eg. "2 of 3 places used."
+    //nb. "minimum-notes" refers to the owner rather than the droptarget
+    //since it's the reason for refusing items that would be moved from there
+    #describeCapacity(droptarget, description) {
+
+        switch(true) {
+
+            case (description == 'minimum-notes') :
+                description = this.#getDescription(description, 0, {
+                    number : this.#getLimit(this.#selection.owner, 'min'),
+                    ...this.#getTokenValues({ source : this.#selection.owner })
+                });
+                break;
+
+            case (this.constructor.#langkeys.includes(description)) :
+                description = this.language[description];
+        }
+
+        const max = this.#getLimit(droptarget, 'max');
+        if(max !== null) {
+            const capacity = this.#parseTokens(this.language['capacity-notes'], {
+                count   : this.#collection[droptarget.id].dragitems.length,
+                number  : max
+            });
+            description += ` ${capacity}`;
+        }
+
+        return description;
+    };
+
+
+    //apply the default notes for a droptarget's current drag-valid state
+    //ie. drop notes for a valid droptarget, refusal notes for a droptarget
+    //that won't take the selected items, otherwise the selection notes
+    #describeNotes(droptarget) {
+
+        switch(true) {
+
+            case (droptarget.getAttribute('data-drag-valid') == 'true') :
+                return this.#describeDroptarget(droptarget, 'drop-notes');
+
+            case (droptarget.getAttribute('data-drag-valid') == 'false' && droptarget !== this.#selection.owner) :
+                return this.#describeDroptarget(droptarget, this.#getRefusal(droptarget) || 'refused-notes');
+
+            default :
+                return this.#describeDroptarget(droptarget, 'selection-notes');
+        }
+    };
+
+
+    //announce a description through a droptarget's description element
+    //nb. this is used for descriptions that respond to an action in that droptarget
+    //eg. the number of dropped items, or the reason why a drop was refused
+    //nb. if the announcement strategy is "live" then it's announced through
+    //the live region instead, with the specified politeness
+    #announceDroptarget(droptarget, description, politeness = 'polite') {
+
+        //if the announcement strategy is "live" then just queue the description
+        //but still reset the default notes when it loses focus (see below)
+        //since they might refer to a drag-valid state that's now changed
+        if(this.#announcement == 'live') {
+            this.#announce(description, politeness);
+            this.#bind(droptarget, 'blur', () => {
+
+                this.#describeNotes(droptarget);
+            },
+            { once : true });
+            return;
+        }
+
+        //nb. JAWS and NVDA don't announce accessible description updates
+        //for a focused listbox element that has an activedescendant
+        //there are several workarounds for this, which involve either
+        //temporarily removing or invalidating aria-activedescendant
+        //but both of those approaches resulted in dual announcemt
+        //however synchronously removing the role, either side of updating
+        //the description, avoids the problem without that side-effect
+        //but don't do that for Safari because it stops the announcement
+        const role = droptarget.getAttribute('role');
+        if(!droptarget.hasAttribute('data-drag-safari')) {
+            droptarget.removeAttribute('role');
         }
 
         //update the accessible description element
         this.#describedby[droptarget.id].droptarget.textContent = description;
+
+        //now restore the role
+        droptarget.setAttribute('role', role);
+
+        //then reset to the default notes when it loses focus
+        //nb. an announced description is only relevant at the moment it happens
+        //so this ensures that it has the default when it's next announced
+        this.#bind(droptarget, 'blur', () => {
+
+            this.#describeNotes(droptarget);
+        },
+        { once : true });
+
+        //hide and reset the droptarget description element for Safari
+        //but only after a short timer to ensure it's announced once
+        //nb. if we leave it in place then it will be announced
+        //again when the blur event resets to the selection state
+        //even if we removed aria-live before that text was updated
+        //conversely, if we remove it now then it won't be announced at all
+        //which sounds like a contradiction ... if changes in live behavior
+        //require a buffer update, then why does removing it now stop it
+        //being announced, but if that doesn't require a buffer update,
+        //then why does removing it onblur *not* stop it being announced?
+        //maybe the difference is related to co-occurring user interaction
+        //or in whether the live behavior is being added or removed
+        //don't really know the score there, but this is what we find
+        let announcer = this.#describedby[droptarget.id].droptarget;
+        if(droptarget.hasAttribute('data-drag-safari')) {
+            this.#buffer(() => {
+                announcer.setAttribute('hidden', '');
+                announcer.removeAttribute('aria-live');
+            });
+        }
+    };
+
+
+    //announce a description through a droptarget's description element
+    //in response to an action that doesn't involve a drop, eg. undo or reorder
+    //nb. this makes the description element a live region for Safari first
+    //which is the same as happens on focus when there's a selection owner
+    //but there might not be one, so the announcement has to be buffered
+    //to give VoiceOver time to recognize the live region before it updates
+    #announceAction(droptarget, description) {
+
+        if(this.#announcement == 'live') {
+            this.#announce(description);
+        }
+        else if(droptarget.hasAttribute('data-drag-safari')) {
+            const announcer = this.#describedby[droptarget.id].droptarget;
+            announcer.textContent = '';
+            announcer.removeAttribute('hidden');
+            announcer.setAttribute('aria-live', 'polite');
+            this.#buffer(() => {
+                this.#announceDroptarget(droptarget, description);
+            });
+        }
+        else {
+            this.#announceDroptarget(droptarget, description);
+        }
+    };
+
+
+    //queue a message for the live region, creating the region if necessary
+    //nb. the region has a polite and an assertive region inside it
+    //and assertive messages are queued ahead of polite ones,
+    //while a message that's already in the queue is ignored
+    //nb. messages are announced one at a time, each after the announce delay
+    //which gives screen readers time to finish updating from whatever just happened
+    #announce(message, politeness = 'polite') {
+
+        const announcer = this.#announcer;
+
+        //create the live region at the end of the scope, if we don't have one yet
+        //nb. live regions must be in the acctree, so it's visually-hidden by the stylesheet
+        //and it inherits the scope language, which is the language of the messages
+        if(!announcer.region) {
+            announcer.region = document.createElement('div');
+            announcer.region.setAttribute('data-drag-act', 'announcer');
+            ['polite','assertive'].forEach((live) => {
+                const node = document.createElement('div');
+                node.setAttribute('aria-live', live);
+                announcer.region.appendChild(node);
+            });
+            this.#scope.appendChild(announcer.region);
+        }
+
+        //ignore this message if the same message is already queued
+        if(announcer.queue.some((entry) => entry.message == message && entry.politeness == politeness)) {
+            return;
+        }
+
+        //add the message to the queue, with assertive messages ahead of polite ones
+        const entry = { message, politeness };
+        const index = announcer.queue.findIndex((queued) => queued.politeness != 'assertive');
+        if(politeness == 'assertive' && index >= 0) {
+            announcer.queue.splice(index, 0, entry);
+        }
+        else {
+            announcer.queue.push(entry);
+        }
+
+        //start working through the queue, if that isn't already happening
+        if(announcer.timer === null) {
+            this.#doAnnounceThing();
+        }
+    };
+
+
+    //announce the next queued message through the live region after the announce delay
+    //then continue with the next one, until the queue is empty
+    //nb. each message replaces the previous one as a new element
+    //so a repeated message is still announced as an addition
+    #doAnnounceThing() {
+
+        const announcer = this.#announcer;
+
+        const timer = window.setTimeout(() => {
+            this.#timers.delete(timer);
+            announcer.timer = null;
+
+            const entry = announcer.queue.shift();
+            if(entry && announcer.region) {
+                const node = document.createElement('p');
+                node.textContent = entry.message;
+                announcer.region.querySelector(`[aria-live="${entry.politeness}"]`).replaceChildren(node);
+            }
+
+            if(announcer.queue.length) {
+                this.#doAnnounceThing();
+            }
+        }, this.#announcedelay);
+
+        announcer.timer = timer;
+        this.#timers.add(timer);
+    };
+
+
+    //remove the live region and reset the live announcer data
+    #resetAnnouncer() {
+
+        const announcer = this.#announcer;
+
+        if(announcer.timer !== null) {
+            window.clearTimeout(announcer.timer);
+            this.#timers.delete(announcer.timer);
+        }
+        if(announcer.region) {
+            announcer.region.remove();
+        }
+
+        this.#announcer = {
+            region  : null,
+            queue   : [],
+            timer   : null
+        };
     };
 
 
@@ -1658,6 +5009,28 @@ export default class DragAct {
         //instance mutation observer
         this.#observer = new MutationObserver((mutations) => {
 
+            //remove any droptargets that are no longer inside the scope
+            //then add any droptargets that are new
+            //nb. do this before handling dragitems, so that items inside
+            //new droptargets don't go looking for a collection that isn't there yet
+            //nb. it's simpler to compare the whole scope than to trawl through the mutations
+            //and cheap enough, since the observer is only running when there's no selection
+            Object.values(this.#collection).forEach((collection) => {
+                if(!this.#scope.contains(collection.droptarget)) {
+                    this.removeDroptarget(collection.droptarget);
+                }
+            });
+            this.#released.forEach((droptarget) => {
+                if(!this.#scope.contains(droptarget)) {
+                    this.#released.delete(droptarget);
+                }
+            });
+            this.#scope.querySelectorAll('[data-drag-act="droptarget"]').forEach((droptarget) => {
+                if(!this.#hasDroptarget(droptarget) && !this.#released.has(droptarget)) {
+                    this.addDroptarget(droptarget);
+                }
+            });
+
             mutations.forEach((mutation) => {
 
                 //assemble an array of added and removed nodes
@@ -1681,15 +5054,19 @@ export default class DragAct {
                         //setting activedescendant to whatever it already is, which will
                         //default to the first dragitem if the container was previously empty
                         //or will remove aria-activedescendant and aria-owns if it's now empty
-                        //nb. don't update the label, parent, or sort button, which are fixed at initialization
-                        //but we do need to update multimode in case it couldn't be set at initialisation
-                        //eg. if the container was empty and now contains items that have role=radio
                         const setdescendent = droptarget.querySelector('#' + droptarget.getAttribute('aria-activedescendant'));
 
-                        const dragitems = this.#getDroptarget(droptarget, setdescendent || null);
-                        this.#collection[droptarget.id].droptarget = droptarget;
-                        this.#collection[droptarget.id].dragitems = dragitems;
-                        this.#collection[droptarget.id].multimode = this.#getDefaultMultimode(droptarget, dragitems);
+                        this.#refreshDroptarget(droptarget, setdescendent || null);
+
+                        //clear the drop history, since its recorded positions are no longer reliable
+                        this.#history = {
+                            undo    : [],
+                            redo    : []
+                        };
+
+                        //re-apply accessible descriptions for the default selection state
+                        //in case it's now empty or no longer empty, or its capacity changed
+                        this.#describeDroptarget(droptarget, 'selection-notes');
 
                         //dispatch any instance callbacks
                         //nb. if multiple dragitems are added or removed iteratively
@@ -1699,6 +5076,15 @@ export default class DragAct {
                         //are already in the DOM by the time the first callback dispatches
                         //so this.collection in every callback will reflect all the changes
                         this.#dispatchCallbacks();
+
+                        //dispatch a refresh event for this droptarget
+                        //nb. the selection is always empty when the observer is running
+                        //so we only need to specify the droptarget and the added or removed items
+                        this.#dispatch('refresh', false, {
+                            dragitems   : nodes,
+                            droptarget  : droptarget,
+                            modality    : null
+                        });
                     }
                 }
             });
@@ -1711,8 +5097,20 @@ export default class DragAct {
         });
 
 
+        //instance language observer
+        //nb. only the scope lang is observed, because the scope always has one
+        //which takes precedence over the document language
+        this.#langobserver = new MutationObserver(() => {
+            this.#applyLanguage();
+        });
+        this.#langobserver.observe(this.#scope, {
+            attributes      : true,
+            attributeFilter : ['lang']
+        });
+
+
         //scope focus listener
-        this.#scope.addEventListener('focus', (e) => {
+        this.#bind(this.#scope, 'focus', (e) => {
 
             console.log("focus listener")
 
@@ -1737,7 +5135,7 @@ export default class DragAct {
             if(sorted !== null) {
                 droptarget.classList.remove('dragout');
                 droptarget.classList.add('focus-within');
-                sorted.addEventListener('blur', (e) => {
+                this.#bind(sorted, 'blur', (e) => {
                     droptarget.classList.remove('focus-within');
                 },
                 { once : true });
@@ -1777,7 +5175,8 @@ export default class DragAct {
                 //while role=status is often announced twice when it updates
                 //but aria-live=polite works fine, and has the right assertiveness
                 //it gets announced after the listbox label and activedescendant
-                if(announcer) {
+                //nb. unless the announcement strategy is "live", which doesn't need it
+                if(announcer && this.#announcement != 'live') {
                     announcer.textContent = '';
                     announcer.removeAttribute('hidden');
                     announcer.setAttribute('aria-live', 'polite');
@@ -1804,12 +5203,12 @@ export default class DragAct {
         //or it would already be false when the simulated mousedown occurs
         //so we only set it using touchstart, then reset it from mouseup
         //which must inevitably follow the touchstart that preceded it
-        this.#scope.addEventListener('touchstart', (e) => {
+        this.#bind(this.#scope, 'touchstart', (e) => {
             this.#touching = true;
         });
         //nb. same thing for pointer events so it handles devices
         //that don't implement apple's event model (e.g. windows tablets)
-        this.#scope.addEventListener('pointerdown', (e) => {
+        this.#bind(this.#scope, 'pointerdown', (e) => {
             if(e.pointerType == 'touch' || e.pointerType == 'pen') {
                 this.#touching = true;
             }
@@ -1822,7 +5221,7 @@ export default class DragAct {
         //nb. this is also matched by spoken "click ..." commands with
         //Voice Control in iOS and MacOS, which is consistent with
         //their mousedown events not triggering container focus events
-        this.#scope.addEventListener('mousedown', (e) => {
+        this.#bind(this.#scope, 'mousedown', (e) => {
             if(!this.#touching && e.detail == 0) {
                 this.#touching = true;
             }
@@ -1832,13 +5231,13 @@ export default class DragAct {
         //document mousedown listener to set the pointer target reference
         //nb. this is on document because it needs to be globally accurate
         //in order to filter mouseups that began outside the instance
-        document.addEventListener('mousedown', (e) => {
+        this.#bind(document, 'mousedown', (e) => {
             this.#pointer = e.target;
         });
 
 
         //scope mousedown listener
-        this.#scope.addEventListener('mousedown', (e) => {
+        this.#bind(this.#scope, 'mousedown', (e) => {
 
             //ignore non-left clicks or the second half of a double-click
             if(e.button > 0 || e.detail > 1) {
@@ -1866,10 +5265,11 @@ export default class DragAct {
 
 
         //scope mouseup listener
-        this.#scope.addEventListener('mouseup', (e) => {
+        this.#bind(this.#scope, 'mouseup', (e) => {
 
             //ignore non-left clicks or the second half of a double-click
-            if(e.button > 0 || e.detail > 1) {
+            //or simulated mouse events that follow a pointer drag
+            if(e.button > 0 || e.detail > 1 || this.#pointerdragged) {
                 return;
             }
 
@@ -1877,12 +5277,37 @@ export default class DragAct {
             const dragitem = this.#getClosest(e.target, 'dragitem');
             const droptarget = this.#getClosest(e.target);
             const sorted = this.#getClosest(e.target, 'sorted');
+            const empty = this.#getClosest(e.target, 'empty');
+            const restore = this.#getClosest(e.target, 'restore');
 
             //nothing to do if we don't have a drop target
             if(!droptarget) {
                 return;
             }
 
+            //update the input modality according to the touching flag
+            this.#modality = this.#touching ? 'touch' : 'mouse';
+
+            //if this is an enabled empty button in a trash droptarget then empty it
+            //as long as the mousedown was inside the button too, like a native button
+            //nb. this doesn't drop any selected items, even though it's inside the trash
+            if(empty !== null && this.#isTrash(droptarget)) {
+                if(empty.contains(this.#pointer) && empty.getAttribute('aria-disabled') != 'true') {
+                    this.#doEmptyThing(droptarget);
+                }
+                this.#pointer = null;
+                return;
+            }
+
+            //same again for an enabled restore button, which restores everything in the trash
+            if(restore !== null && this.#isTrash(droptarget)) {
+                if(restore.contains(this.#pointer) && restore.getAttribute('aria-disabled') != 'true') {
+                    this.#doRestoreThing([ ...this.#collection[droptarget.id].dragitems ]);
+                }
+                this.#pointer = null;
+                return;
+            }
+
             //ignore mouseups that aren't consistent with the mousedown pointer target
             //=> for selection actions, both events must be inside the same dragitem
             //=> for drop actions, both events must be inside the same droptarget
@@ -1917,9 +5342,13 @@ export default class DragAct {
                     //remove accessible descriptions from the owner dragitems collection
                     this.#describeDragitems(this.#selection.owner);
 
-                    //set the selection droptarget to this container
+                    //set the selection droptarget to this container and resolve the drop effect
+                    //nb. Alt/Option + click toggles the droptarget's default effect
+                    //then set the position from the pointer, unless this is a sort action
                     //then drop the selected items into the droptarget container
                     this.#selection.droptarget = droptarget;
+                    this.#selection.effect = this.#getEffect(droptarget, e.altKey);
+                    this.#setPosition(sorted === null ? this.#getPosition(droptarget, e.clientX, e.clientY) : null);
                     this.#doDropThing();
 
                     //nothing more to do here
@@ -1956,15 +5385,22 @@ export default class DragAct {
 
         //document mouseup listener
         //nb. this is on document because reset events could come from anywhere
-        document.addEventListener('mouseup', (e) => {
+        this.#bind(document, 'mouseup', (e) => {
 
             //ignore non-left clicks or the second half of a double-click
             if(e.button > 0 || e.detail > 1) {
                 return;
             }
 
-            //reset the touching flag
-            this.#touching = false;
+            //ignore simulated mouse events that follow a pointer drag
+            //but still reset the touching flag, since this is the mouseup it expects
+            //and reset the dragged flag, since this is the only one that would follow
+            //nb. this listener is on document, so it runs after the scope mouseup
+            if(this.#pointerdragged) {
+                this.#pointerdragged = false;
+                this.#touching = false;
+                return;
+            }
 
             //look for relevant references from the event node
             const dragitem = this.#getClosest(e.target, 'dragitem');
@@ -1975,6 +5411,17 @@ export default class DragAct {
             if(!dragitem) {
                 if(!droptarget || (droptarget === this.#selection.owner)) {
 
+                    //if we have any selected items, dispatch a cancelable cancel event
+                    //using the touching flag for the input modality, before we reset it
+                    //and if that was cancelled then leave the selection as it is
+                    if(this.#selection.dragitems.length) {
+                        this.#modality = this.#touching ? 'touch' : 'mouse';
+                        if(!this.#dispatch('cancel', true)) {
+                            this.#touching = false;
+                            return;
+                        }
+                    }
+
                     //clear drag-valid from droptargets
                     this.#clearDragValid();
 
@@ -1989,12 +5436,42 @@ export default class DragAct {
                     this.#clearSelections();
                 }
             }
+
+            //reset the touching flag
+            this.#touching = false;
+        });
+
+        //scope mousemove listener to update the insertion indicator
+        //when there are selected items and the pointer is over a valid droptarget
+        //nb. this only shows where the items would go, the position itself
+        //is set again from the mouseup that drops them, eg. for touch
+        //where there are no mousemove events until the tap happens
+        this.#bind(this.#scope, 'mousemove', (e) => {
+
+            if(!this.#selection.dragitems.length || this.#pending) {
+                return;
+            }
+
+            const droptarget = this.#getClosest(e.target);
+            if(droptarget && droptarget !== this.#selection.owner && !this.#getRefusal(droptarget)) {
+                this.#setPosition(this.#getPosition(droptarget, e.clientX, e.clientY));
+            }
+            else if(this.#selection.position) {
+                this.#setPosition(null);
+            }
+        });
+
+        //scope mouseleave listener to remove the insertion indicator
+        this.#bind(this.#scope, 'mouseleave', (e) => {
+            if(this.#selection.position && !this.#pending) {
+                this.#setPosition(null);
+            }
         });
 
         //block all click events inside droptarget containers
         //nb. droptargets shouldn't contain other interactive elements
         //so this reinforces that by making them functionally useless
-        this.#scope.addEventListener('click', (e) => {
+        this.#bind(this.#scope, 'click', (e) => {
             if(this.#getClosest(e.target)) {
                 e.preventDefault();
                 return;
@@ -2003,11 +5480,274 @@ export default class DragAct {
     }
 
 
+    ///bind pointer drag events
+    #bindPointerDragEvents() {
+
+        //document pointerdown listener to reset the dragged flag from a previous pointer drag
+        //nb. a new pointer interaction means there wasn't a simulated mouseup after the drag
+        //so the mouseup that follows this one is real, and mustn't be ignored
+        this.#bind(document, 'pointerdown', () => {
+            this.#pointerdragged = false;
+        });
+
+
+        //scope pointerdown listener to record a potential pointer drag
+        //nb. this only applies to touch and pen, since mouse uses native drag
+        //and it doesn't prevent default, so if the pointer doesn't move
+        //then the tap still produces simulated mouse events as usual
+        //nb. the stylesheet only sets touch-action on selected items, so a drag
+        //from an unselected item is usually taken over by scrolling (see pointercancel)
+        //and users can tap to select an item, then drag it
+        this.#bind(this.#scope, 'pointerdown', (e) => {
+
+            //reset any data from a previous pointer drag
+            this.#pointerdrag = null;
+
+            //ignore mouse, secondary pointers and non-primary buttons
+            if(!(e.pointerType == 'touch' || e.pointerType == 'pen') || !e.isPrimary || e.button > 0) {
+                return;
+            }
+
+            //look for relevant references from the event node
+            //and ignore this event if we don't have both of them
+            //or if a previous drop is still pending
+            const dragitem = this.#getClosest(e.target, 'dragitem');
+            const droptarget = this.#getClosest(e.target);
+            if(!(dragitem && droptarget) || this.#pending) {
+                return;
+            }
+
+            this.#pointerdrag = {
+                id          : e.pointerId,
+                dragitem    : dragitem,
+                droptarget  : droptarget,
+                x           : e.clientX,
+                y           : e.clientY,
+                dragging    : false,
+                preview     : null
+            };
+        });
+
+
+        //document pointermove listener to start and update a pointer drag
+        //nb. this is on document because the user could drag outside the scope
+        this.#bind(document, 'pointermove', (e) => {
+
+            //ignore this event if it isn't from a pointer drag in progress
+            const pointerdrag = this.#pointerdrag;
+            if(!pointerdrag || pointerdrag.id !== e.pointerId || pointerdrag.preview === false) {
+                return;
+            }
+
+            //if the drag hasn't started yet
+            if(!pointerdrag.dragging) {
+
+                //nothing to do until the pointer moves past the threshold
+                if(Math.hypot(e.clientX - pointerdrag.x, e.clientY - pointerdrag.y) < this.constructor.#pointerthreshold) {
+                    return;
+                }
+
+                //get the relevant references from the pointerdown
+                const dragitem = pointerdrag.dragitem;
+                const droptarget = pointerdrag.droptarget;
+
+                //abandon the drag if the selection owner is defined but isn't this dragitem's owner
+                //or if the dragitem is disabled, or isn't in the droptarget anymore
+                if((this.#selection.owner && this.#selection.owner !== droptarget)
+                    || dragitem.getAttribute('aria-disabled') == 'true'
+                    || !droptarget.contains(dragitem)) {
+
+                    this.#pointerdrag = null;
+                    return;
+                }
+
+                //update the input modality for pointer drag
+                //nb. pen is reported as touch, since they use the same interaction
+                this.#modality = 'touch';
+
+                //if the dragitem is not already selected
+                if(dragitem.getAttribute(droptarget.getAttribute('data-drag-state')) == 'false') {
+
+                    //clear the dragitem accessible description (see dragstart)
+                    //then select items according to platform defaults or overrides
+                    //and apply accessible descriptions for the number of selected items
+                    this.#undescribeDragitems(dragitem);
+                    this.#doSelectionThing(droptarget, dragitem, this.#getMultimode(e, droptarget));
+                    this.#describeDragitems(droptarget, this.#selection.dragitems.length);
+                }
+
+                //abandon the drag if the dragitem didn't get selected
+                //nb. addSelection refuses disabled items, and items outside the selection owner
+                //which were both checked above, but this makes sure we never drag an unselected item
+                if(!this.#selection.dragitems.includes(dragitem)) {
+                    this.#pointerdrag = null;
+                    return;
+                }
+
+                //update activedescendant to the target dragitem, if necessary
+                //and add the owner dragout class
+                this.#activeUpdate(droptarget, dragitem);
+                this.#selection.owner.classList.add('dragout');
+
+                //capture the pointer so we continue to get its events
+                //nb. this can throw if the pointer is no longer active
+                try {
+                    dragitem.setPointerCapture(e.pointerId);
+                }
+                catch(ex) {}
+
+                //create the drag preview and flag that the drag has started
+                pointerdrag.preview = this.#getPreview(dragitem);
+                pointerdrag.dragging = true;
+            }
+
+            //abandon the drag if the selection was cleared in the meantime
+            //eg. by pressing Escape with an external keyboard
+            //nb. the preview is flagged false so the drag doesn't restart
+            if(!this.#selection.dragitems.length) {
+                pointerdrag.preview.remove();
+                pointerdrag.preview = false;
+                this.#stopScroll();
+                return;
+            }
+
+            //prevent default to stop the pointer scrolling or selecting text
+            e.preventDefault();
+
+            //translate the preview so it follows the pointer
+            pointerdrag.preview.style.transform = `translate(${e.clientX - pointerdrag.x}px, ${e.clientY - pointerdrag.y}px)`;
+
+            //look for relevant references from the element under the pointer
+            //but if the droptarget is the owner then it's not a valid droptarget
+            //unless we have a sort button reference, in which case it's allowed
+            //nor is it a valid droptarget if it won't take the selected items
+            const node = document.elementFromPoint(e.clientX, e.clientY);
+            let droptarget = node ? this.#getClosest(node) : null;
+            const sorted = node ? this.#getClosest(node, 'sorted') : null;
+            if(droptarget === this.#selection.owner && sorted === null) {
+                droptarget = null;
+            }
+            if(droptarget && this.#getRefusal(droptarget)) {
+                droptarget = null;
+            }
+
+            //if the droptarget is different from the selection droptarget
+            //move the dragover class from one to the other, then update the reference
+            //nb. the owner doesn't get the dragover class for sort actions
+            if(droptarget !== this.#selection.droptarget) {
+                if(this.#selection.droptarget) {
+                    this.#selection.droptarget.classList.remove('dragover');
+                }
+                if(droptarget && droptarget !== this.#selection.owner) {
+                    droptarget.classList.add('dragover');
+                }
+                this.#selection.droptarget = droptarget;
+            }
+
+            //set the sorting flag according to whether we have a sort button
+            //then update the insertion position and indicator from the pointer
+            //unless this is a sort action, which always appends the items
+            this.#selection.nodesort = sorted === null;
+            this.#setPosition((droptarget && sorted === null) ? this.#getPosition(droptarget, e.clientX, e.clientY) : null);
+
+            //auto-scroll if the pointer is near the edge of a droptarget or the viewport
+            this.#autoScroll(e.clientX, e.clientY);
+        });
+
+
+        //document pointerup listener to drop the items from a pointer drag
+        //nb. this is on document because the user could drag outside the scope
+        this.#bind(document, 'pointerup', (e) => {
+
+            //ignore this event if it isn't from a pointer drag
+            const pointerdrag = this.#pointerdrag;
+            if(!pointerdrag || pointerdrag.id !== e.pointerId) {
+                return;
+            }
+
+            //if the drag never started then this was a tap
+            //so reset the pointer drag and let simulated mouse events handle it
+            if(!pointerdrag.dragging) {
+                this.#pointerdrag = null;
+                return;
+            }
+
+            //reset the pointer drag now that it's ended, and set the dragged flag instead
+            //so that mouse handlers can ignore a simulated mouseup from the drag
+            this.#pointerdrag = null;
+            this.#pointerdragged = true;
+
+            //nothing more to do if the drag was abandoned
+            if(pointerdrag.preview === false) {
+                return;
+            }
+
+            //remove the drag preview
+            //and reset the touching flag, since there's no simulated mouseup for a touch drag
+            pointerdrag.preview.remove();
+            this.#touching = false;
+
+            //stop any edge auto-scrolling
+            this.#stopScroll();
+
+            //update the input modality for pointer drag
+            this.#modality = 'touch';
+
+            //if we have a droptarget, remove accessible descriptions from the owner dragitems
+            //then resolve the drop effect, where Alt/Option toggles the droptarget's default
+            //nb. pen users might have a keyboard, and the event has the modifier state
+            if(this.#selection.droptarget) {
+                this.#describeDragitems(this.#selection.owner);
+                this.#selection.effect = this.#getEffect(this.#selection.droptarget, e.altKey);
+            }
+
+            //drop the selected items into the droptarget container, if we have one
+            //nb. if we don't then the selection is left as it is, like an abandoned drag
+            //so the user can still tap a container to drop them there
+            if(!this.#doDropThing()) {
+                this.#setPosition(null);
+            }
+        });
+
+
+        //document pointercancel listener to abandon a pointer drag
+        //nb. this happens if the platform takes over the pointer, eg. for scrolling
+        this.#bind(document, 'pointercancel', (e) => {
+
+            //ignore this event if it isn't from a pointer drag
+            const pointerdrag = this.#pointerdrag;
+            if(!pointerdrag || pointerdrag.id !== e.pointerId) {
+                return;
+            }
+
+            //if the drag started, remove the drag preview, dragover and dragout classes
+            //and the insertion indicator, but leave the selection as it is
+            if(pointerdrag.dragging && pointerdrag.preview) {
+                pointerdrag.preview.remove();
+                if(this.#selection.owner) {
+                    this.#selection.owner.classList.remove('dragout');
+                }
+                if(this.#selection.droptarget) {
+                    this.#selection.droptarget.classList.remove('dragover');
+                    this.#selection.droptarget = null;
+                }
+                this.#setPosition(null);
+                this.#stopScroll();
+            }
+
+            //reset the pointer drag and the touching flag
+            this.#pointerdrag = null;
+            this.#touching = false;
+        });
+
+    }
+
+
     ///bind drag events
     #bindDragEvents() {
 
         //scope dragstart listener
-        this.#scope.addEventListener('dragstart', (e) => {
+        this.#bind(this.#scope, 'dragstart', (e) => {
 
             //look for relevant references from the event node
             const dragitem = this.#getClosest(e.target, 'dragitem');
@@ -2021,6 +5761,19 @@ export default class DragAct {
                 return;
             }
 
+            //block this event if a pointer drag has already started
+            //or otherwise let native drag take over from a pending one
+            if(this.#pointerdrag) {
+                if(this.#pointerdrag.dragging) {
+                    e.preventDefault();
+                    return;
+                }
+                this.#pointerdrag = null;
+            }
+
+            //update the input modality for native drag
+            this.#modality = 'drag';
+
             //block this event if the selection owner is defined but isn't this dragitem's owner
             if(this.#selection.owner && this.#selection.owner !== this.#getClosest(dragitem)) {
                 e.preventDefault();
@@ -2060,6 +5813,23 @@ export default class DragAct {
                 this.#selection.owner.classList.add('dragout');
             }
 
+            //set a custom drag image showing the dragged item and the selection count
+            //with an offset that keeps the pointer over the same point of the item
+            //nb. the preview has to be rendered when setDragImage is called
+            //so it's removed again once the platform has taken its snapshot
+            if(this.#selection.dragitems.length && typeof(e.dataTransfer.setDragImage) == 'function') {
+                const preview = this.#dragimage = this.#getPreview(dragitem);
+                const rect = preview.getBoundingClientRect();
+                e.dataTransfer.setDragImage(preview, e.clientX - rect.left, e.clientY - rect.top);
+
+                const timer = window.setTimeout(() => {
+                    this.#timers.delete(timer);
+                    this.#dragimage = null;
+                    preview.remove();
+                }, 0);
+                this.#timers.add(timer);
+            }
+
             //nb. we don't need the transfer data, but we have to define something
             //otherwise the drop action won't work in some implementations
             e.dataTransfer.setData('text/uri-list', 'https://www.tpgi.com/');
@@ -2074,7 +5844,7 @@ export default class DragAct {
         //document dragenter listener to maintain the dragenter reference
         //filtered with draginstance so it only responds so this
         //nb. this is on document because the user could drag outside the scope
-        document.addEventListener('dragenter', (e) => {
+        this.#bind(document, 'dragenter', (e) => {
             if(this.constructor.#draginstance !== this) {
                 return;
             }
@@ -2084,7 +5854,7 @@ export default class DragAct {
 
         //document dragleave listener
         //nb. this is on document because the user could drag outside the scope
-        document.addEventListener('dragleave', (e) => {
+        this.#bind(document, 'dragleave', (e) => {
 
             //filter with draginstance so it only responds so this
             if(this.constructor.#draginstance !== this) {
@@ -2093,8 +5863,9 @@ export default class DragAct {
 
             //look for a droptarget reference from the dragenter node
             //but if that's the owner then it's not a valid droptarget
+            //and nor is it if that won't take the selected items
             let droptarget = this.#getClosest(this.#dragenter);
-            if(droptarget === this.#selection.owner) {
+            if(droptarget === this.#selection.owner || (droptarget && this.#getRefusal(droptarget))) {
                 droptarget = null;
             }
 
@@ -2119,7 +5890,7 @@ export default class DragAct {
 
         //document dragover listener
         //nb. this is on document because the user could drag outside the scope
-        document.addEventListener('dragover', (e) => {
+        this.#bind(document, 'dragover', (e) => {
 
             //filter with draginstance so it only responds so this
             if(this.constructor.#draginstance !== this) {
@@ -2136,6 +5907,12 @@ export default class DragAct {
                 droptarget = null;
             }
 
+            //nor is it a valid droptarget if it won't take the selected items
+            //nb. setting dropEffect to "none" means the drop event won't fire there
+            if(droptarget && this.#getRefusal(droptarget)) {
+                droptarget = null;
+            }
+
             //set the dropEffect according to whether we have a valid droptarget
             //nb. using "copy" produces the (+) cursor which nominally indicates copy
             //however the "move" cursor is no different than the default cursor
@@ -2143,6 +5920,15 @@ export default class DragAct {
             //for web content where copy functionality is almost never used anyway
             e.dataTransfer.dropEffect = droptarget ? 'copy' : 'none';
 
+            //update the insertion position and indicator from the pointer
+            //unless this is a sort action, which always appends the items
+            this.#setPosition((droptarget && sorted === null) ? this.#getPosition(droptarget, e.clientX, e.clientY) : null);
+
+            //auto-scroll if the pointer is near the edge of a droptarget or the viewport
+            if(this.#selection.dragitems.length) {
+                this.#autoScroll(e.clientX, e.clientY);
+            }
+
             //if we have any selected items and this event is inside the scope
             //then prevent default to allow the dragging items to be dragged
             //nb. this doesn't actually make any difference while you're dragging
@@ -2156,7 +5942,10 @@ export default class DragAct {
 
 
         //scope drop listener
-        this.#scope.addEventListener('drop', (e) => {
+        this.#bind(this.#scope, 'drop', (e) => {
+
+            //update the input modality for native drag
+            this.#modality = 'drag';
 
             //set the sorting flag according to whether we have a sort button
             //nb. sorting by node order is the default, so what's described
@@ -2170,11 +5959,22 @@ export default class DragAct {
                 this.#selection.droptarget = this.#selection.owner;
             }
 
+            //resolve the drop effect, where Alt/Option toggles the droptarget's default
+            //nb. we don't use the native dropEffect for this, since that's always "copy"
+            //(see dragover) and its modifier behavior isn't consistent between platforms
+            if(this.#selection.droptarget) {
+                this.#selection.effect = this.#getEffect(this.#selection.droptarget, e.altKey);
+            }
+
             //drop any selected items into the droptarget container, if we have them
             //and if that returns success then prevent default to allow the action
             //nb. it shouldn't be possible for this to be false if the drop event fires at all
             //because of how we're managing other drag events, but just in case
-            if(this.#doDropThing()) {
+            //nb. if the beforedrop hook is async then the result isn't known yet
+            //but default has to be prevented now, since the event won't wait for it
+            //and the drop is still ours to resolve, or refuse, when the promise settles
+            const result = this.#doDropThing();
+            if(result === true || (result && typeof(result.then) == 'function')) {
                 e.preventDefault();
             }
         });
@@ -2182,7 +5982,7 @@ export default class DragAct {
 
         //document dragend listener
         //nb. this is on document because the user could drag outside the scope
-        document.addEventListener('dragend', (e) => {
+        this.#bind(document, 'dragend', (e) => {
 
             //filter with draginstance so it only responds so this
             if(this.constructor.#draginstance !== this) {
@@ -2193,6 +5993,15 @@ export default class DragAct {
             if(this.#selection.owner) {
                 this.#selection.owner.classList.remove('dragout');
             }
+
+            //remove the insertion indicator, in case the drag was abandoned
+            //nb. unless a drop is pending, which still needs the position
+            if(!this.#pending) {
+                this.#setPosition(null);
+            }
+
+            //stop any edge auto-scrolling
+            this.#stopScroll();
         });
 
     }
@@ -2202,17 +6011,57 @@ export default class DragAct {
     #bindKeyboardEvents() {
 
         //scope keydown listener
-        this.#scope.addEventListener('keydown', (e) => {
+        this.#bind(this.#scope, 'keydown', (e) => {
 
             //look for relevant references from the event node
             const droptarget = this.#getClosest(e.target);
             const sorted = this.#getClosest(e.target, 'sorted');
+            const empty = this.#getClosest(e.target, 'empty');
+            const restore = this.#getClosest(e.target, 'restore');
 
             //nothing to do here if we don't have a droptarget
             if(!droptarget) {
                 return;
             }
 
+            //update the input modality for keyboard
+            this.#modality = 'keyboard';
+
+            //if we have an empty button reference, Enter or Space empties the trash
+            //and any other key is ignored, since the button doesn't have any other actions
+            //nb. key repeats are blocked, so it doesn't try to empty an empty trash
+            if(empty !== null && this.#isTrash(droptarget)) {
+                if(e.key == 'Enter' || e.key == '\u0020') {
+                    if(!e.repeat && empty.getAttribute('aria-disabled') != 'true') {
+                        this.#doEmptyThing(droptarget);
+                    }
+                    e.preventDefault();
+                }
+                return;
+            }
+
+            //same again for the restore button, which restores everything in the trash
+            if(restore !== null && this.#isTrash(droptarget)) {
+                if(e.key == 'Enter' || e.key == '\u0020') {
+                    if(!e.repeat && restore.getAttribute('aria-disabled') != 'true') {
+                        this.#doRestoreThing([ ...this.#collection[droptarget.id].dragitems ]);
+                    }
+                    e.preventDefault();
+                }
+                return;
+            }
+
+            //printable characters = type-ahead to the next dragitem whose name starts with them
+            //nb. this doesn't apply to Space, or to anything with Ctrl/Cmd or Alt/Option
+            //so it doesn't clash with selection, clipboard-style or reorder shortcuts
+            //and it doesn't apply to the sort button, since that isn't a list of items
+            //nb. spread the key to count its characters, in case it's a surrogate pair
+            if(sorted === null && [ ...e.key ].length == 1 && /\S/.test(e.key) && !(e.ctrlKey || e.metaKey || e.altKey || e.isComposing)) {
+                this.#doTypeAheadThing(droptarget, e.key);
+                e.preventDefault();
+                return;
+            }
+
             //identify relevant event keys and ignore the rest
             //nb. lowercase all the key names so we can test letter keys without case variation
             let keyname = (this.constructor.#keynames.find((key) => key == e.key.toLowerCase()) || '').toLowerCase();
@@ -2221,7 +6070,7 @@ export default class DragAct {
             }
 
             //if we have a sort button reference, check for supported actions
-            //=> Enter or Ctrl/Cmd + S are allowed
+            //=> Enter, Ctrl/Cmd + S or Ctrl/Cmd + Z are allowed
             //=> Space is converted to Enter
             //=> any other relevant key is blocked
             //nb. button elements should be clickable with either Enter or Space
@@ -2230,7 +6079,7 @@ export default class DragAct {
                 if(keyname == '\u0020') {
                     keyname = 'enter';
                 }
-                if(!(keyname == 'enter' || keyname == 's')) {
+                if(!(keyname == 'enter' || keyname == 's' || keyname == 'z')) {
                     e.preventDefault();
                     return;
                 }
@@ -2365,12 +6214,17 @@ export default class DragAct {
                             //apply accessible descriptions for the number of selected items
                             //nb. if there are no selected items then the descriptions will be removed
                             this.#describeDragitems(droptarget, this.#selection.dragitems.length);
+
+                            //dispatch a select event for the updated selection
+                            this.#dispatch('select');
                         }
                     }
                 }
             }
 
             //Enter (not sorted), Ctrl/Cmd + V = drop selected items (in dom traversal order)
+            //nb. adding Alt/Option toggles the droptarget's default effect between move and copy
+            //nb. the items are inserted after the activedescendant, or before it if Shift is pressed
             //nb. we don't implement Ctrl/Cmd + M because that's a native action on MacOS
             //(minimize all windows) and there's no justification for overriding it
             //because there's no good precedent for responding to it in the first place
@@ -2395,13 +6249,18 @@ export default class DragAct {
                     //remove accessible descriptions from the owner dragitems collection
                     this.#describeDragitems(this.#selection.owner);
 
-                    //set the selection droptarget to this and then drop the items into it
+                    //set the selection droptarget to this and resolve the drop effect
+                    //and position, then drop the items into it
                     this.#selection.droptarget = droptarget;
+                    this.#selection.effect = this.#getEffect(droptarget, e.altKey);
+                    this.#setPosition(this.#getActivePosition(droptarget, e.shiftKey));
                     this.#doDropThing();
                 }
             }
 
             //Enter (sorted), Ctrl/Cmd + S = drop selected items in the order they were selected
+            //nb. adding Alt/Option toggles the droptarget's default effect between move and copy
+            //nb. the items are inserted after the activedescendant, or before it if Shift is pressed
             else if((keyname == 'enter' && sorted !== null) || keyname == 's') {
 
                 //block key repeats to avoid unecessary evaluations
@@ -2435,12 +6294,62 @@ export default class DragAct {
                     //remove accessible descriptions from the owner dragitems collection
                     this.#describeDragitems(this.#selection.owner);
 
-                    //set the selection droptarget to this and then drop the items into it
+                    //set the selection droptarget to this and resolve the drop effect
+                    //and position, then drop the items into it
                     this.#selection.droptarget = droptarget;
+                    this.#selection.effect = this.#getEffect(droptarget, e.altKey);
+                    this.#setPosition(this.#getActivePosition(droptarget, e.shiftKey));
                     this.#doDropThing();
                 }
             }
 
+            //Delete, Backspace = move the selected items or activedescendant to the trash
+            //or if this is the trash, restore them to where they came from
+            //nb. this is ignored if there's no trash droptarget
+            //and it's also ignored with any modifiers, so they're free for other uses
+            else if(keyname == 'delete' || keyname == 'backspace') {
+
+                //ignore Delete and Backspace if modified
+                if(e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) {
+                    return;
+                }
+
+                //block key repeats to avoid trashing items one after another
+                if(e.repeat) {
+                    e.preventDefault();
+                    return;
+                }
+
+                if(this.#isTrash(droptarget)) {
+                    this.#doUntrashThing(droptarget);
+                }
+                else {
+                    this.#doTrashThing(droptarget);
+                }
+            }
+
+            //Alt/Option + ArrowFoo, Home, End = move the selected items or activedescendant
+            //nb. or whatever the reorder modifier is, if that's been changed
+            //nb. this has to be checked before Ctrl/Cmd + Z, in case the modifier is ctrl or meta
+            else if(e[`${this.#reorderkey}Key`] && ['arrowup','arrowright','arrowdown','arrowleft','home','end'].includes(keyname)) {
+                this.#doReorderThing(droptarget, this.#getArrowKey(droptarget, keyname));
+            }
+
+            //Ctrl/Cmd + Z = undo the last drop, Ctrl/Cmd + Shift + Z = redo it
+            else if(keyname == 'z') {
+
+                //ignore Z if unmodified
+                if(!(e.ctrlKey || e.metaKey)) {
+                    return;
+                }
+
+                //block key repeats to avoid stepping through the history by accident
+                //nb. but still prevent default so the native undo doesn't happen either
+                if(!e.repeat) {
+                    this[e.shiftKey ? 'redo' : 'undo']();
+                }
+            }
+
             //ArrowFoo, PageFoo, Home, End = activedescendant navigation
             else {
 
@@ -2464,14 +6373,47 @@ export default class DragAct {
                 //nb. using for() rather than forEach() so that we can use continue
                 //and optimize the loop to only test keys on the activedescendant
                 //nb. arrow keys cycle round, but other navigation keys don't
+                //nb. in grid navigation, arrow keys move between and within rows instead
+                //and they don't cycle round, they stop at the edges of the grid
+                //nb. left and right are swapped for right-to-left, see getArrowKey
                 const dragitems = this.#collection[droptarget.id].dragitems;
+                const grid = this.#isGrid(droptarget);
                 let nextindex = -1;
                 let lastindex = dragitems.length - 1;
 
+                keyname = this.#getArrowKey(droptarget, keyname);
+
                 for(let [ n, item ] of dragitems.entries()) {
 
                     if(item.id != activeid) { continue; }
 
+                    if(grid && keyname.indexOf('arrow') === 0) {
+
+                        const rows = this.#getRows(droptarget, dragitems);
+                        const row = rows.findIndex((indexes) => indexes.includes(n));
+                        const column = rows[row].indexOf(n);
+
+                        switch(true) {
+
+                            case (keyname == 'arrowright') :
+                                nextindex = rows[row][Math.min(column + 1, rows[row].length - 1)];
+                                break;
+
+                            case (keyname == 'arrowleft') :
+                                nextindex = rows[row][Math.max(column - 1, 0)];
+                                break;
+
+                            case (keyname == 'arrowdown') :
+                                nextindex = (row == rows.length - 1) ? n : rows[row + 1][Math.min(column, rows[row + 1].length - 1)];
+                                break;
+
+                            case (keyname == 'arrowup') :
+                                nextindex = (row == 0) ? n : rows[row - 1][Math.min(column, rows[row - 1].length - 1)];
+                                break;
+                        }
+                        continue;
+                    }
+
                     switch(true) {
 
                         case (keyname == 'arrowdown' || keyname == 'arrowright') :
@@ -2479,7 +6421,7 @@ export default class DragAct {
                             break;
 
                         case (keyname == 'pagedown') :
-                            nextindex = (n + 5 > lastindex) ? lastindex : n + 5;
+                            nextindex = (n + this.#options.pageStep > lastindex) ? lastindex : n + this.#options.pageStep;
                             break;
 
                         case (keyname == 'end') :
@@ -2491,7 +6433,7 @@ export default class DragAct {
                             break;
 
                         case (keyname == 'pageup') :
-                            nextindex = (n - 5 < 0) ? 0 : n - 5;
+                            nextindex = (n - this.#options.pageStep < 0) ? 0 : n - this.#options.pageStep;
                             break;
 
                         case (keyname == 'home') :
@@ -2545,48 +6487,8 @@ export default class DragAct {
                 //which means that this can't happen entirely before or after that condition
                 else {
 
-                    //clear the dragitems accessible description if the next item is unselected
-                    //otherwise restore the description for the number of selected items
-                    //nb. this means that the number of selected items is only announced
-                    //when you navigate to an already-selected item (or when it changes)
-                    //which provides that information on-demand without becoming repetitive
-                    if(dragitems[nextindex].getAttribute(droptarget.getAttribute('data-drag-state')) == 'false') {
-                        this.#undescribeDragitems(dragitems[nextindex]);
-                    }
-                    else {
-                        this.#describeDragitems(droptarget, this.#selection.dragitems.length);
-                    }
-
-                    //if we have a matching or null selection owner
-                    //nb. items inside non-owner targets are not navigable or selectable
-                    if(!this.#selection.owner || this.#selection.owner === droptarget) {
-
-                        //implement auto-selection behavior for MacOS/Safari or locked single selection
-                        //nb. VoiceOver (with a keyboard) implements an auto-selection model
-                        //for listboxes, the same behavior as desktop Finder navigation
-                        //and there's no way to override or stop it from doing this
-                        //so the only way to make its selection announcements follow the
-                        //selections, is to make the selections follow its announcements
-                        //nb. this is also the model we use for [role="radio"] single selection
-                        //in which selection following focus is the expected pattern
-                        if(droptarget.getAttribute('data-drag-safari') == 'macos' || !this.#collection[droptarget.id].multimode) {
-
-                            //clear the dragitems accessible description
-                            this.#undescribeDragitems(dragitems[nextindex]);
-
-                            //select this item using single selection
-                            this.#doSelectionThing(droptarget, dragitems[nextindex], 0);
-
-                            //apply accessible descriptions for the number of selected items
-                            this.#describeDragitems(droptarget, this.#selection.dragitems.length);
-                        }
-                    }
-
-                    //update activedescendant to the next dragitem
-                    this.#activeUpdate(droptarget, dragitems[nextindex]);
-
-                    //auto-scroll the activedescendant into view, if that's necessary
-                    this.#activeScroll(droptarget);
+                    //navigate to the next dragitem
+                    this.#activeNavigate(droptarget, dragitems[nextindex]);
                 }
             }
 
@@ -2597,7 +6499,7 @@ export default class DragAct {
 
         //document keydown listener
         //nb. this is on document because reset events could come from anywhere
-        document.addEventListener('keydown', (e) => {
+        this.#bind(document, 'keydown', (e) => {
 
             //identify relevant event keys and ignore the rest
             //nb. lowercase all the key names so we can test letter keys without case variation
@@ -2615,6 +6517,13 @@ export default class DragAct {
                 //if we have any selected items
                 if(this.#selection.dragitems.length) {
 
+                    //dispatch a cancelable cancel event before resetting anything
+                    //and if that was cancelled then leave the selection as it is
+                    this.#modality = 'keyboard';
+                    if(!this.#dispatch('cancel', true)) {
+                        return;
+                    }
+
                     //clear drag-valid from droptargets and remove any owner dragout class
                     this.#clearDragValid();
                     this.#selection.owner.classList.remove('dragout');